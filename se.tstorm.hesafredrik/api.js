@@ -0,0 +1,86 @@
+'use strict';
+
+module.exports = {
+
+  /**
+   * GET /history
+   * Query parameters: limit (number of entries), area (area code)
+   */
+  async getHistory({ homey, query }) {
+    return homey.app.getAlertHistory({
+      limit: query.limit,
+      areaCode: query.area,
+    });
+  },
+
+  /**
+   * GET /alerts
+   * Current alerts per endpoint, as last fetched
+   */
+  async getAlerts({ homey }) {
+    return homey.app.getLastAlerts();
+  },
+
+  /**
+   * GET /devices
+   */
+  async getDevices({ homey }) {
+    return homey.app.getStatus().devices;
+  },
+
+  /**
+   * GET /devices/:id/incidents
+   * The id is the ID of a VMA device, as listed by GET /devices
+   */
+  async getDeviceIncidents({ homey, params }) {
+    return homey.app.getVMADevice(params.id).getIncidentDetails();
+  },
+
+  /**
+   * GET /status
+   */
+  async getStatus({ homey }) {
+    return homey.app.getStatus();
+  },
+
+  /**
+   * GET /sources
+   * Built-in and additional alert sources
+   */
+  async getSources({ homey }) {
+    return homey.app.getSources();
+  },
+
+  /**
+   * POST /sources
+   * Body: name, alertsUrl and optional sseUrl
+   */
+  async addSource({ homey, body }) {
+    return homey.app.addSource(body);
+  },
+
+  /**
+   * DELETE /sources/:id
+   */
+  async removeSource({ homey, params }) {
+    homey.app.removeSource(params.id);
+    return homey.app.getSources();
+  },
+
+  /**
+   * POST /reconnect
+   */
+  async reconnect({ homey }) {
+    homey.app.reconnectSSE();
+    return homey.app.getStatus();
+  },
+
+  /**
+   * POST /refresh
+   */
+  async refresh({ homey }) {
+    await homey.app.fetchAndDistributeAlerts();
+    return homey.app.getStatus();
+  },
+
+};
@@ -1,23 +1,55 @@
 'use strict';
 
+const path = require('path');
 const Homey = require('homey');
 const { EventSource } = require('eventsource');
 const axios = require('axios');
+const AlertHistory = require('./lib/AlertHistory');
+const SourceRegistry = require('./lib/SourceRegistry');
+const { parseCapXml } = require('./lib/cap');
+const { normalizeSmhiWarnings } = require('./lib/smhi');
+const { normalizeKrisinformationMessages } = require('./lib/krisinformation');
+const {
+  distanceKm, pointInRing, ringsIntersect, circleIntersectsRing, parseCapPolygon, parseCapCircle,
+} = require('./lib/geo');
+const { NATIONWIDE, areasOverlap } = require('./lib/areas');
 
 // Configuration constants
 const CONFIG = {
-  API_URL: 'https://vmaapi.sr.se/api/v3/alerts',
-  TEST_API_URL: 'https://vmaapi.sr.se/testapi/v3/alerts',
-  SSE_URL: 'https://vmaapi.sr.se/api/v3/subscribe',
-  TEST_SSE_URL: 'https://vmaapi.sr.se/testapi/v3/subscribe',
+  API_BASE_URL: 'https://vmaapi.sr.se/api/v3', // Overridden by the api_base_url app setting
+  TEST_API_BASE_URL: 'https://vmaapi.sr.se/testapi/v3', // Overridden by the test_api_base_url app setting
+  SMHI_WARNINGS_URL: 'https://opendata-download-warnings.smhi.se/ibww/api/version/1/warning.json', // Overridden by the smhi_warnings_url app setting
+  KRISINFORMATION_URL: 'https://api.krisinformation.se/v3/news?days=1', // Overridden by the krisinformation_url app setting
   REQUEST_TIMEOUT: 10000,
   SSE_RECONNECT_DELAY: 5000,
   MAX_BACKOFF_DELAY: 60000,
   FETCH_DEBOUNCE_DELAY: 2000, // Debounce fetch requests by 2 seconds
   SSE_MAX_AGE: 10 * 60 * 1000, // Proactively reconnect SSE after 10 minutes
   SSE_HEALTH_CHECK_INTERVAL: 2 * 60 * 1000, // Check SSE health every 2 minutes
+  POLL_FALLBACK_GRACE: 3 * 60 * 1000, // Start polling when an SSE stream has been down for 3 minutes
+  POLL_CHECK_INTERVAL: 30 * 1000, // Check whether polling fallback is needed every 30 seconds
+  POLL_INTERVAL: 60 * 1000, // Default polling interval while in fallback mode
+  MIN_POLL_INTERVAL: 30 * 1000, // Never poll more often than every 30 seconds
+  CIRCUIT_BREAKER_THRESHOLD: 5, // Stop fetching after 5 fetches in a row where no source answered
+  CIRCUIT_BREAKER_RESET: 5 * 60 * 1000, // Resume fetching after 5 minutes
+  MAX_CAP_LINKS: 50, // Most alerts fetched from links in one CAP Atom feed
+  RECONCILE_CONFIRM_DELAY: 60 * 1000, // Re-fetch after 1 minute to confirm incidents missing from the alert list
+  EVENT_DEDUPE_TTL: 24 * 60 * 60 * 1000, // Remember notified and played alert events for 24 hours
+  MAX_SPEECH_LENGTH: 255, // Homey speech output limit per sentence
 };
 
+// Built-in alert sources, Sveriges Radio's VMA API and its test API
+const BUILT_IN_SOURCES = ['production', 'test', 'smhi', 'krisinformation'];
+
+// Hesa Fredrik signals bundled with the app
+const SIGNALS = {
+  warning: 'viktigt-meddelande',
+  all_clear: 'faran-over',
+};
+
+// Quieter copies of the signals, generated by scripts/build-signal-levels.js
+const SIGNAL_VOLUMES = ['medium', 'low'];
+
 class HesaFredrikApp extends Homey.App {
 
   /**
@@ -26,122 +58,326 @@ class HesaFredrikApp extends Homey.App {
   async onInit() {
     this.log('Hesa Fredrik has been initialized');
 
-    // Initialize SSE connection properties for production and test endpoints
-    this.productionSSE = {
-      eventSource: null,
-      connected: false,
-      retryCount: 0,
-      reconnectTimer: null,
-      connectedAt: null,
-      createdAt: null,
-    };
+    // Initialize additional alert sources configured in the app settings
+    this.sourceRegistry = new SourceRegistry(this.homey.settings, BUILT_IN_SOURCES);
 
-    this.testSSE = {
-      eventSource: null,
-      connected: false,
-      retryCount: 0,
-      reconnectTimer: null,
-      connectedAt: null,
-      createdAt: null,
-    };
+    // Initialize SSE connection and health state per source, see getSourceState()
+    this._sourceStates = {};
+
+    // Initialize timer for applying changed sources
+    this._sourceUpdateTimer = null;
+
+    // Initialize timer for the deferred SSE setup
+    this._initTimer = null;
 
     // Initialize SSE health check interval
     this._sseHealthCheckInterval = null;
 
-    // Initialize fetch mutex to prevent concurrent API calls
+    // Initialize polling fallback used while SSE streams are down
+    this._pollCheckInterval = null;
+    this._pollTimer = null;
+    this._pollIntervalMs = null;
+
+    // Initialize polling of the sources that have no SSE stream
+    this._sourcePollTimer = null;
+
+    // Initialize fetch mutex to prevent concurrent API calls, and the sources to fetch once it is released
     this._fetchInProgress = false;
+    this._queuedSourceIds = null;
 
     // Initialize debounce timer for fetch requests
     this._fetchDebounceTimer = null;
 
+    // Initialize timer for fetches confirming incidents missing from the alert list
+    this._reconcileConfirmTimer = null;
+
     // Initialize circuit breaker for API failures
     this._apiFailureCount = 0;
     this._apiCircuitOpen = false;
+    this._circuitResetTimer = null;
+
+    // Initialize last fetch results, shown in the app settings
+    this._lastFetch = null;
+    this._lastSuccessfulFetchAt = null;
+
+    // Initialize last successfully fetched alerts per source, served by the Web API
+    this._lastAlerts = {};
+
+    // Initialize persistent alert history
+    this.alertHistory = new AlertHistory(this.homey.settings);
+
+    // Initialize handled alert events, so devices covering the same incident notify and play once
+    this._handledEvents = new Map();
+
+    this.homey.flow.getActionCard('play_vma_warning')
+      .registerRunListener(async (args) => this.playSignal('warning', args.volume));
+
+    this.homey.flow.getActionCard('play_vma_all_clear')
+      .registerRunListener(async (args) => this.playSignal('all_clear', args.volume));
+
+    this.homey.flow.getActionCard('get_alert_history')
+      .registerRunListener(async (args) => {
+        const entries = this.getAlertHistory({ limit: args.count });
+        return {
+          history: entries.map((entry) => this.formatHistoryEntry(entry)).join('\n'),
+          count: entries.length,
+          json: JSON.stringify(entries),
+        };
+      });
 
     // Defer SSE setup to ensure devices are fully initialized
     // Use setTimeout to let device onInit complete first
-    setTimeout(() => {
+    this._initTimer = setTimeout(() => {
+      this._initTimer = null;
       this.log('Setting up SSE connections...');
       this.setupSSEConnections();
 
       // Start SSE health monitoring
       this.startSSEHealthCheck();
 
+      // Start watching for SSE outages that require polling
+      this.startPollingFallbackMonitor();
+
       // Perform initial fetch after SSE setup (debounced to avoid conflicts with SSE messages)
       this.log('Scheduling initial fetch of all alerts...');
       this.debouncedFetchAndDistributeAlerts();
     }, 2000);
+
+    // Restart polling with the new interval if it is changed while active
+    this.homey.settings.on('set', (key) => {
+      if (key === 'poll_interval' && this._pollTimer) {
+        this.log('Polling interval changed, restarting polling fallback');
+        this.stopPolling();
+        this.startPolling();
+      }
+      if (key === 'poll_interval' && this._sourcePollTimer) {
+        this.log('Polling interval changed, restarting polling of sources without SSE');
+        this.stopSourcePolling();
+        this.startSourcePolling();
+      }
+
+      // Connect to the new endpoints right away
+      if (key === 'api_base_url' || key === 'test_api_base_url') {
+        this.log(`${key} changed, reconnecting`);
+        this.reconnectSSE();
+        this.debouncedFetchAndDistributeAlerts();
+      }
+
+      if (key === 'smhi_warnings_url') {
+        this.log('SMHI warnings URL changed');
+        this.debouncedFetchAndDistributeAlerts();
+      }
+
+      if (key === 'krisinformation_enabled' || key === 'krisinformation_url') {
+        this.log(`${key} changed`);
+        this.debouncedFetchAndDistributeAlerts();
+      }
+
+      // Connect to added sources and disconnect from removed ones
+      if (key === 'sources') {
+        this.log('Alert sources changed');
+        this.scheduleSourceUpdate();
+      }
+    });
+  }
+
+  /**
+   * Get all alert sources, the built-in VMA API endpoints and SMHI warnings followed by those added in the app settings
+   * @returns {Array} Sources with id, name, alertsUrl, sseUrl (null if the source is polled), format and builtIn flag
+   */
+  getSources() {
+    const builtIn = ['production', 'test'].map((id) => ({
+      id,
+      name: this.homey.__(`settings.endpoint_${id}`),
+      alertsUrl: this.getEndpointUrl(id, 'alerts'),
+      sseUrl: this.getEndpointUrl(id, 'subscribe'),
+      format: 'vma',
+      builtIn: true,
+    }));
+
+    // SMHI has no stream announcing changes, so its warnings are polled
+    builtIn.push({
+      id: 'smhi',
+      name: this.homey.__('settings.endpoint_smhi'),
+      alertsUrl: this.homey.settings.get('smhi_warnings_url') || CONFIG.SMHI_WARNINGS_URL,
+      sseUrl: null,
+      format: 'smhi',
+      builtIn: true,
+    });
+
+    // Krisinformation.se news, polled for VMA devices when turned on in the app settings
+    builtIn.push({
+      id: 'krisinformation',
+      name: this.homey.__('settings.endpoint_krisinformation'),
+      alertsUrl: this.homey.settings.get('krisinformation_url') || CONFIG.KRISINFORMATION_URL,
+      sseUrl: null,
+      format: 'krisinformation',
+      builtIn: true,
+    });
+
+    const custom = this.sourceRegistry.getAll().map((source) => {
+      return Object.assign(source, { builtIn: false });
+    });
+
+    return builtIn.concat(custom);
   }
 
   /**
-   * Check which devices need production vs test endpoints
-   * @returns {object} Object with hasProduction and hasTest booleans
+   * Get an alert source
+   * @param {string} sourceId - Source ID
+   * @returns {Object|null} The source, or null if there is no source with this ID
    */
-  getDeviceEndpointNeeds() {
+  getSource(sourceId) {
+    return this.getSources().find((source) => source.id === sourceId) || null;
+  }
+
+  /**
+   * Add an alert source to the app settings
+   * @param {Object} source - Name, alertsUrl, optional sseUrl and optional format of the source
+   * @returns {Object} The added source
+   */
+  addSource(source) {
+    const added = this.sourceRegistry.add(source);
+    this.log(`Added alert source ${added.id} (${added.alertsUrl})`);
+    return added;
+  }
+
+  /**
+   * Remove an alert source from the app settings
+   * @param {string} sourceId - Source ID
+   */
+  removeSource(sourceId) {
+    if (BUILT_IN_SOURCES.includes(sourceId)) {
+      throw new Error(`Built-in source ${sourceId} cannot be removed`);
+    }
+    if (!this.sourceRegistry.remove(sourceId)) {
+      throw new Error(`No alert source ${sourceId}`);
+    }
+    this.log(`Removed alert source ${sourceId}`);
+  }
+
+  /**
+   * Get the connection and health state of a source
+   * @param {string} sourceId - Source ID
+   * @returns {Object} SSE connection state and outcome of the last fetch
+   */
+  getSourceState(sourceId) {
+    if (!this._sourceStates[sourceId]) {
+      this._sourceStates[sourceId] = {
+        eventSource: null,
+        connected: false,
+        retryCount: 0,
+        reconnectTimer: null,
+        connectedAt: null,
+        createdAt: null,
+        disconnectedAt: null,
+        lastMessageAt: null,
+        lastFetch: null,
+        failureCount: 0,
+      };
+    }
+
+    return this._sourceStates[sourceId];
+  }
+
+  /**
+   * Get the sources that devices listen to
+   * @returns {string[]} IDs of existing sources used by at least one device
+   */
+  getNeededSourceIds() {
     try {
-      const driver = this.homey.drivers.getDriver('vma');
-      const devices = driver.getDevices();
+      const needed = new Set();
 
-      const hasProduction = devices.some((device) => {
-        const settings = device.getSettings();
-        return settings.test_mode !== true;
+      Object.values(this.homey.drivers.getDrivers()).forEach((driver) => {
+        driver.getDevices().forEach((device) => {
+          device.getSourceIds().forEach((sourceId) => needed.add(sourceId));
+        });
       });
 
-      const hasTest = devices.some((device) => {
-        const settings = device.getSettings();
-        return settings.test_mode === true;
-      });
+      if (this.isKrisinformationEnabled() && this.homey.drivers.getDriver('vma').getDevices().length > 0) {
+        needed.add('krisinformation');
+      }
 
-      return { hasProduction, hasTest };
+      return this.getSources().map((source) => source.id).filter((sourceId) => needed.has(sourceId));
     } catch (error) {
-      this.error('Error checking device endpoint needs:', error);
-      return { hasProduction: false, hasTest: false };
+      this.error('Error checking device source needs:', error);
+      return [];
     }
   }
 
   /**
    * Set up SSE connections based on device configuration
+   * Opens streams of needed sources that are not connected and closes all others
    */
   setupSSEConnections() {
-    const needs = this.getDeviceEndpointNeeds();
+    const needed = this.getNeededSourceIds();
 
-    this.log('SSE connection needs:', needs);
+    this.log('SSE connection needs:', needed);
 
-    if (needs.hasProduction) {
-      this.setupSSE('production');
-    } else {
-      this.closeSSE('production');
-    }
+    this.getSources().forEach((source) => {
+      const sse = this.getSourceState(source.id);
 
-    if (needs.hasTest) {
-      this.setupSSE('test');
-    } else {
-      this.closeSSE('test');
+      if (!needed.includes(source.id) || !source.sseUrl) {
+        this.closeSSE(source.id);
+      } else if (!sse.eventSource && !sse.reconnectTimer) {
+        this.setupSSE(source.id);
+      }
+    });
+
+    // Forget removed sources
+    Object.keys(this._sourceStates).forEach((sourceId) => {
+      if (!this.getSource(sourceId)) {
+        this.closeSSE(sourceId);
+        delete this._sourceStates[sourceId];
+        delete this._lastAlerts[sourceId];
+      }
+    });
+  }
+
+  /**
+   * Apply changed sources once device and app settings have been saved
+   * Updates the SSE connections and fetches alerts from the new sources
+   */
+  scheduleSourceUpdate() {
+    if (this._sourceUpdateTimer) {
+      clearTimeout(this._sourceUpdateTimer);
     }
+
+    this._sourceUpdateTimer = setTimeout(() => {
+      this._sourceUpdateTimer = null;
+      this.setupSSEConnections();
+      this.fetchAndDistributeAlerts().catch((err) => {
+        this.error('Failed to fetch alerts after source change:', err);
+      });
+    }, CONFIG.FETCH_DEBOUNCE_DELAY);
   }
 
   /**
-   * Set up a single SSE connection (production or test)
-   * @param {string} type - 'production' or 'test'
+   * Set up the SSE connection of a source
+   * @param {string} sourceId - Source ID
    */
-  setupSSE(type) {
-    if (type !== 'production' && type !== 'test') {
-      this.error(`Invalid SSE type: ${type}`);
+  setupSSE(sourceId) {
+    const source = this.getSource(sourceId);
+    if (!source || !source.sseUrl) {
+      this.error(`No SSE stream for source: ${sourceId}`);
       return;
     }
 
-    const sse = type === 'production' ? this.productionSSE : this.testSSE;
-    const sseUrl = type === 'production' ? CONFIG.SSE_URL : CONFIG.TEST_SSE_URL;
+    const sse = this.getSourceState(sourceId);
+    const { sseUrl } = source;
 
     // Clean up any existing connection
     if (sse.eventSource) {
-      this.log(`Closing existing ${type} SSE connection`);
+      this.log(`Closing existing ${sourceId} SSE connection`);
       sse.eventSource.close();
       sse.eventSource = null;
     }
 
     // Reset connected flag when setting up a new connection
     sse.connected = false;
+    if (!sse.disconnectedAt) {
+      sse.disconnectedAt = Date.now();
+    }
 
     // Clear any reconnection timer
     if (sse.reconnectTimer) {
@@ -150,7 +386,7 @@ class HesaFredrikApp extends Homey.App {
     }
 
     const setupStartTime = Date.now();
-    this.log(`Setting up ${type} SSE connection to ${sseUrl}`);
+    this.log(`Setting up ${sourceId} SSE connection to ${sseUrl}`);
 
     try {
       sse.eventSource = new EventSource(sseUrl, {
@@ -161,55 +397,70 @@ class HesaFredrikApp extends Homey.App {
       });
 
       sse.createdAt = Date.now();
-      this.log(`${type} EventSource created, waiting for onopen event... (readyState: ${sse.eventSource.readyState})`);
+      this.log(`${sourceId} EventSource created, waiting for onopen event... (readyState: ${sse.eventSource.readyState})`);
 
       sse.eventSource.onopen = () => {
         const elapsed = Math.round((Date.now() - setupStartTime) / 1000);
-        this.log(`${type} SSE connection opened after ${elapsed} seconds`);
+        this.log(`${sourceId} SSE connection opened after ${elapsed} seconds`);
+
+        // Catch up on anything we missed while the stream was down
+        if (sse.retryCount > 0) {
+          this.log(`${sourceId} SSE recovered after errors, fetching alerts to catch up`);
+          this.debouncedFetchAndDistributeAlerts();
+        }
+
         sse.connected = true;
         sse.connectedAt = Date.now();
+        sse.disconnectedAt = null;
         sse.retryCount = 0;
       };
 
       sse.eventSource.onmessage = async (event) => {
+        sse.lastMessageAt = Date.now();
+
         // First message marks connection as established
         if (!sse.connected) {
-          this.log(`${type} SSE first message received (connection established)`);
+          this.log(`${sourceId} SSE first message received (connection established)`);
           sse.connected = true;
           sse.connectedAt = Date.now();
+          sse.disconnectedAt = null;
         }
 
         try {
           const data = JSON.parse(event.data);
-          this.log(`${type} SSE update received:`, data.message);
+          this.log(`${sourceId} SSE update received:`, data.message);
           this.debouncedFetchAndDistributeAlerts();
         } catch (error) {
-          this.error(`Failed to parse ${type} SSE message:`, error);
+          this.error(`Failed to parse ${sourceId} SSE message:`, error);
         }
       };
 
       sse.eventSource.onerror = (error) => {
-        this.error(`${type} SSE connection error, scheduling reconnection`);
-        this.scheduleReconnection(type);
+        this.error(`${sourceId} SSE connection error, scheduling reconnection`);
+        sse.connected = false;
+        if (!sse.disconnectedAt) {
+          sse.disconnectedAt = Date.now();
+        }
+        this.scheduleReconnection(sourceId);
       };
 
     } catch (error) {
-      this.error(`=== Failed to setup ${type} SSE connection ===`);
+      this.error(`=== Failed to setup ${sourceId} SSE connection ===`);
       this.error('Exception:', error);
       this.error('Stack:', error.stack);
-      this.scheduleReconnection(type);
+      this.scheduleReconnection(sourceId);
     }
   }
 
   /**
    * Close an SSE connection
-   * @param {string} type - 'production' or 'test'
+   * @param {string} sourceId - Source ID
    */
-  closeSSE(type) {
-    const sse = type === 'production' ? this.productionSSE : this.testSSE;
+  closeSSE(sourceId) {
+    const sse = this.getSourceState(sourceId);
 
     if (sse.eventSource) {
-      this.log(`Closing ${type} SSE connection`);
+      this.log(`Closing ${sourceId} SSE connection`);
       sse.eventSource.close();
       sse.eventSource = null;
     }
@@ -217,6 +468,7 @@ class HesaFredrikApp extends Homey.App {
     sse.connected = false;
     sse.connectedAt = null;
     sse.createdAt = null;
+    sse.disconnectedAt = null;
 
     if (sse.reconnectTimer) {
       clearTimeout(sse.reconnectTimer);
@@ -236,22 +488,21 @@ class HesaFredrikApp extends Homey.App {
 
     this.log('Starting SSE health monitoring...');
     this._sseHealthCheckInterval = setInterval(() => {
-      this.checkSSEHealth('production');
-      this.checkSSEHealth('test');
+      Object.keys(this._sourceStates).forEach((sourceId) => this.checkSSEHealth(sourceId));
     }, CONFIG.SSE_HEALTH_CHECK_INTERVAL);
   }
 
   /**
    * Check health of a single SSE connection
    * Reconnects if connection has been up longer than SSE_MAX_AGE
-   * @param {string} type - 'production' or 'test'
+   * @param {string} sourceId - Source ID
    */
-  checkSSEHealth(type) {
-    const sse = type === 'production' ? this.productionSSE : this.testSSE;
+  checkSSEHealth(sourceId) {
+    const sse = this.getSourceState(sourceId);
 
     // Check if EventSource exists
     if (!sse.eventSource || !sse.createdAt) {
-      this.log(`${type} SSE health check: no eventSource`);
+      this.log(`${sourceId} SSE health check: no eventSource`);
       return;
     }
 
@@ -261,20 +512,175 @@ class HesaFredrikApp extends Homey.App {
 
     // VMA server closes connections after 5 minutes - reconnect before that
     if (connectionAge > CONFIG.SSE_MAX_AGE) {
-      this.log(`${type} SSE connection is ${ageMinutes} minutes old, reconnecting...`);
-      this.closeSSE(type);
-      this.setupSSE(type);
+      this.log(`${sourceId} SSE connection is ${ageMinutes} minutes old, reconnecting...`);
+      this.closeSSE(sourceId);
+      this.setupSSE(sourceId);
     } else {
-      this.log(`${type} SSE health check: connection age ${ageMinutes} minutes (healthy)`);
+      this.log(`${sourceId} SSE health check: connection age ${ageMinutes} minutes (healthy)`);
+    }
+  }
+
+  /**
+   * Start monitoring SSE outages
+   * Switches to periodic polling while a needed SSE stream is down
+   */
+  startPollingFallbackMonitor() {
+    // Clear any existing interval
+    if (this._pollCheckInterval) {
+      clearInterval(this._pollCheckInterval);
+    }
+
+    this.log('Starting polling fallback monitoring...');
+    this._pollCheckInterval = setInterval(() => {
+      this.checkPollingFallback();
+    }, CONFIG.POLL_CHECK_INTERVAL);
+  }
+
+  /**
+   * Check whether an SSE stream has been down longer than the grace period
+   * @param {string} sourceId - Source ID
+   * @returns {boolean} True if the stream is considered down
+   */
+  isSSEDegraded(sourceId) {
+    const sse = this.getSourceState(sourceId);
+
+    if (sse.connected || !sse.disconnectedAt) {
+      return false;
+    }
+
+    return Date.now() - sse.disconnectedAt >= CONFIG.POLL_FALLBACK_GRACE;
+  }
+
+  /**
+   * Start or stop polling depending on the health of the needed SSE streams
+   * Sources without an SSE stream are polled on their own timer, see checkSourcePolling()
+   */
+  checkPollingFallback() {
+    const needed = this.getNeededSourceIds();
+    const degraded = needed.filter((sourceId) => this.getSource(sourceId).sseUrl && this.isSSEDegraded(sourceId));
+
+    if (degraded.length > 0 && !this._pollTimer) {
+      this.log(`SSE stream down for ${degraded.join(', ')}, switching to polling fallback`);
+      this.startPolling();
+    } else if (degraded.length === 0 && this._pollTimer) {
+      this.log('SSE streams healthy again, stopping polling fallback');
+      this.stopPolling();
+    }
+
+    this.checkSourcePolling();
+  }
+
+  /**
+   * Start or stop polling depending on whether any needed source has no SSE stream
+   */
+  checkSourcePolling() {
+    const polled = this.getNeededSourceIds().filter((sourceId) => !this.getSource(sourceId).sseUrl);
+
+    if (polled.length > 0 && !this._sourcePollTimer) {
+      this.log(`No SSE stream for ${polled.join(', ')}, polling them`);
+      this.startSourcePolling();
+    } else if (polled.length === 0 && this._sourcePollTimer) {
+      this.log('No sources without SSE needed, stopping their polling');
+      this.stopSourcePolling();
+    }
+  }
+
+  /**
+   * Get the polling interval, configurable through the poll_interval app setting (seconds)
+   * @returns {number} Polling interval in milliseconds
+   */
+  getPollInterval() {
+    const seconds = Number(this.homey.settings.get('poll_interval'));
+
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+      return CONFIG.POLL_INTERVAL;
+    }
+
+    return Math.max(seconds * 1000, CONFIG.MIN_POLL_INTERVAL);
+  }
+
+  /**
+   * Start polling the alerts endpoints on a fixed interval
+   */
+  startPolling() {
+    if (this._pollTimer) {
+      return; // Already polling
+    }
+
+    this._pollIntervalMs = this.getPollInterval();
+    this.log(`Polling alerts every ${Math.round(this._pollIntervalMs / 1000)} seconds`);
+
+    this._pollTimer = setInterval(() => {
+      this.fetchAndDistributeAlerts().catch((err) => {
+        this.error('Polling fetchAndDistributeAlerts failed:', err);
+      });
+    }, this._pollIntervalMs);
+
+    // Poll immediately rather than waiting a full interval
+    this.debouncedFetchAndDistributeAlerts();
+  }
+
+  /**
+   * Stop polling the alerts endpoints
+   */
+  stopPolling() {
+    if (this._pollTimer) {
+      clearInterval(this._pollTimer);
+      this._pollTimer = null;
+    }
+    this._pollIntervalMs = null;
+  }
+
+  /**
+   * Start polling for the sources without an SSE stream on a fixed interval
+   * Sources with an SSE stream are fetched when it announces a change, or by the polling fallback.
+   * Devices fetch when they are added, so there is no need to poll right away.
+   */
+  startSourcePolling() {
+    if (this._sourcePollTimer) {
+      return; // Already polling
+    }
+
+    const interval = this.getPollInterval();
+    this.log(`Polling sources without SSE every ${Math.round(interval / 1000)} seconds`);
+
+    this._sourcePollTimer = setInterval(() => {
+      // The polling fallback already fetches all sources
+      if (this._pollTimer) {
+        return;
+      }
+
+      this.pollSourcesWithoutSSE().catch((err) => {
+        this.error('Polling sources without SSE failed:', err);
+      });
+    }, interval);
+  }
+
+  /**
+   * Fetch the needed sources that have no SSE stream
+   * @returns {Promise<void>}
+   */
+  async pollSourcesWithoutSSE() {
+    const polled = this.getNeededSourceIds().filter((sourceId) => !this.getSource(sourceId).sseUrl);
+    await this.fetchAndDistributeAlerts(polled);
+  }
+
+  /**
+   * Stop polling for the sources without an SSE stream
+   */
+  stopSourcePolling() {
+    if (this._sourcePollTimer) {
+      clearInterval(this._sourcePollTimer);
+      this._sourcePollTimer = null;
     }
   }
 
   /**
    * Schedule SSE reconnection with exponential backoff
-   * @param {string} type - 'production' or 'test'
+   * @param {string} sourceId - Source ID
    */
-  scheduleReconnection(type) {
-    const sse = type === 'production' ? this.productionSSE : this.testSSE;
+  scheduleReconnection(sourceId) {
+    const sse = this.getSourceState(sourceId);
 
     if (sse.reconnectTimer) {
       return; // Already scheduled
@@ -286,17 +692,16 @@ class HesaFredrikApp extends Homey.App {
       CONFIG.MAX_BACKOFF_DELAY,
     );
 
-    this.log(`Scheduling ${type} SSE reconnection in ${delay}ms (attempt ${sse.retryCount})`);
+    this.log(`Scheduling ${sourceId} SSE reconnection in ${delay}ms (attempt ${sse.retryCount})`);
 
     sse.reconnectTimer = setTimeout(() => {
       sse.reconnectTimer = null;
 
-      // Check if this endpoint is still needed before reconnecting
-      const needs = this.getDeviceEndpointNeeds();
-      if ((type === 'production' && needs.hasProduction) || (type === 'test' && needs.hasTest)) {
-        this.setupSSE(type);
+      // Check if this source is still needed before reconnecting
+      if (this.getNeededSourceIds().includes(sourceId) && this.getSource(sourceId).sseUrl) {
+        this.setupSSE(sourceId);
       } else {
-        this.log(`${type} SSE no longer needed, skipping reconnection`);
+        this.log(`${sourceId} SSE no longer needed, skipping reconnection`);
       }
     }, delay);
   }
@@ -322,48 +727,176 @@ class HesaFredrikApp extends Homey.App {
   }
 
   /**
-   * Fetch alerts from a specific endpoint
+   * Get the URL of an API resource, using the base URLs from the app settings if set
    * @param {string} type - 'production' or 'test'
-   * @returns {Promise<Object>} Object with type and alerts array
+   * @param {string} resource - 'alerts' or 'subscribe'
+   * @returns {string} The endpoint URL
+   */
+  getEndpointUrl(type, resource) {
+    const setting = this.homey.settings.get(type === 'production' ? 'api_base_url' : 'test_api_base_url');
+    const baseUrl = setting || (type === 'production' ? CONFIG.API_BASE_URL : CONFIG.TEST_API_BASE_URL);
+
+    return `${baseUrl.replace(/\/+$/, '')}/${resource}`;
+  }
+
+  /**
+   * Fetch alerts from a source
+   * @param {string} sourceId - Source ID
+   * @returns {Promise<Object>} Object with source ID, alerts array and ok flag (false if the fetch failed)
    */
-  async fetchAlertsFromEndpoint(type) {
-    const baseUrl = type === 'production' ? CONFIG.API_URL : CONFIG.TEST_API_URL;
+  async fetchAlertsFromSource(sourceId) {
+    const { alertsUrl, format } = this.getSource(sourceId);
 
-    this.log(`Fetching all alerts from ${type} endpoint:`, baseUrl);
+    this.log(`Fetching all alerts from ${sourceId} source:`, alertsUrl);
 
     try {
-      const response = await axios.get(baseUrl, {
-        timeout: CONFIG.REQUEST_TIMEOUT,
-        headers: {
-          'User-Agent': 'Homey Hesa Fredrik (https://apps.athom.com/app/se.tstorm.hesafredrik)',
-          Accept: 'application/json',
-        },
-      });
+      let alerts;
+      if (format === 'smhi') {
+        alerts = await this.fetchSmhiWarnings(alertsUrl);
+      } else if (format === 'krisinformation') {
+        alerts = await this.fetchKrisinformationMessages(alertsUrl);
+      } else if (format === 'cap') {
+        alerts = await this.fetchCapAlerts(alertsUrl);
+      } else {
+        alerts = await this.fetchVmaAlerts(alertsUrl);
+      }
 
-      const json = response.data;
-      const alertCount = json.alerts ? json.alerts.length : 0;
-      this.log(`Received ${alertCount} alerts from ${type} endpoint`);
+      this.log(`Received ${alerts.length} alerts from ${sourceId} source`);
 
-      return { type, alerts: json.alerts || [] };
+      return { source: sourceId, alerts, ok: true };
     } catch (error) {
-      this.error(`=== Error fetching from ${type} endpoint ===`);
+      this.error(`=== Error fetching from ${sourceId} source ===`);
       this.error('Error:', error.message);
       if (error.response) {
         this.error('Response status:', error.response.status);
         const dataStr = JSON.stringify(error.response.data);
         this.error('Response data:', dataStr.substring(0, 200));
       }
-      return { type, alerts: [] };
+      return { source: sourceId, alerts: [], ok: false };
     }
   }
 
   /**
-   * Fetch all alerts and distribute to relevant devices
+   * Fetch an alert list in the JSON format of the VMA API v3
+   * @param {string} url - URL of the alert list
+   * @returns {Promise<Array>} The alerts
+   */
+  async fetchVmaAlerts(url) {
+    const response = await axios.get(url, {
+      timeout: CONFIG.REQUEST_TIMEOUT,
+      headers: {
+        'User-Agent': 'Homey Hesa Fredrik (https://apps.athom.com/app/se.tstorm.hesafredrik)',
+        Accept: 'application/json',
+      },
+    });
+
+    // Anything but an alert list is not a complete list of current alerts
+    const json = response.data;
+    if (!json || typeof json !== 'object' || (json.alerts !== undefined && !Array.isArray(json.alerts))) {
+      throw new Error(`Malformed alert list from ${url}`);
+    }
+
+    return json.alerts || [];
+  }
+
+  /**
+   * Fetch a CAP 1.2 XML alert or Atom feed of alerts, including the alerts the feed links to
+   * @param {string} url - URL of the alert or feed
+   * @returns {Promise<Array>} The alerts, normalized to the shape of the VMA API
    */
-  async fetchAndDistributeAlerts() {
+  async fetchCapAlerts(url) {
+    const fetchXml = async (documentUrl) => {
+      const response = await axios.get(documentUrl, {
+        timeout: CONFIG.REQUEST_TIMEOUT,
+        responseType: 'text',
+        headers: {
+          'User-Agent': 'Homey Hesa Fredrik (https://apps.athom.com/app/se.tstorm.hesafredrik)',
+          Accept: 'application/cap+xml, application/atom+xml, application/xml, text/xml',
+        },
+      });
+      return parseCapXml(response.data, documentUrl);
+    };
+
+    const { alerts, links } = await fetchXml(url);
+
+    // Without all linked alerts the list is incomplete
+    if (links.length > CONFIG.MAX_CAP_LINKS) {
+      throw new Error(`Feed ${url} links to ${links.length} alerts, more than ${CONFIG.MAX_CAP_LINKS}`);
+    }
+
+    const linked = await Promise.all(links.map(fetchXml));
+    return alerts.concat(...linked.map((document) => document.alerts));
+  }
+
+  /**
+   * Fetch the warnings of the SMHI warnings API
+   * @param {string} url - URL of the warning list
+   * @returns {Promise<Array>} Warning areas, see lib/smhi.js
+   */
+  async fetchSmhiWarnings(url) {
+    const response = await axios.get(url, {
+      timeout: CONFIG.REQUEST_TIMEOUT,
+      headers: {
+        'User-Agent': 'Homey Hesa Fredrik (https://apps.athom.com/app/se.tstorm.hesafredrik)',
+        Accept: 'application/json',
+      },
+    });
+
+    return normalizeSmhiWarnings(response.data);
+  }
+
+  /**
+   * Fetch the news and crisis messages of the Krisinformation.se API
+   * @param {string} url - URL of the message list
+   * @returns {Promise<Array>} Messages, see lib/krisinformation.js
+   */
+  async fetchKrisinformationMessages(url) {
+    const response = await axios.get(url, {
+      timeout: CONFIG.REQUEST_TIMEOUT,
+      headers: {
+        'User-Agent': 'Homey Hesa Fredrik (https://apps.athom.com/app/se.tstorm.hesafredrik)',
+        Accept: 'application/json',
+      },
+    });
+
+    return normalizeKrisinformationMessages(response.data);
+  }
+
+  /**
+   * Check whether Krisinformation.se messages are turned on in the app settings
+   * @returns {boolean} True if VMA devices receive Krisinformation.se messages
+   */
+  isKrisinformationEnabled() {
+    return this.homey.settings.get('krisinformation_enabled') === true;
+  }
+
+  /**
+   * Merge the alerts of several sources, e.g. an API and its mirror, leaving out duplicates
+   * @param {Array[]} alertLists - Alert lists of the sources
+   * @returns {Array} Alerts with unique identifiers
+   */
+  mergeAlerts(alertLists) {
+    const identifiers = new Set();
+
+    return alertLists.flat().filter((alert) => {
+      if (alert.identifier && identifiers.has(alert.identifier)) {
+        return false;
+      }
+      identifiers.add(alert.identifier);
+      return true;
+    });
+  }
+
+  /**
+   * Fetch alerts and distribute to relevant devices
+   * A fetch requested while another one runs is queued, so that changes announced meanwhile are not missed
+   * @param {string[]} [sourceIds] - The sources to fetch, defaults to all needed sources
+   */
+  async fetchAndDistributeAlerts(sourceIds = this.getNeededSourceIds()) {
     // Prevent concurrent executions
     if (this._fetchInProgress) {
-      this.log('Fetch already in progress, skipping duplicate call');
+      this.log('Fetch already in progress, queueing another one');
+      this._queuedSourceIds = [...new Set((this._queuedSourceIds || []).concat(sourceIds))];
       return;
     }
 
@@ -376,150 +909,644 @@ class HesaFredrikApp extends Homey.App {
     this._fetchInProgress = true;
 
     try {
-      const needs = this.getDeviceEndpointNeeds();
+      // Fetch alerts from the requested sources that are still needed concurrently
+      const needed = this.getNeededSourceIds();
+      const fetched = sourceIds.filter((sourceId) => needed.includes(sourceId));
+      const results = await Promise.all(fetched.map((sourceId) => this.fetchAlertsFromSource(sourceId)));
+      const resultsBySource = {};
+      results.forEach((r) => {
+        resultsBySource[r.source] = r;
+      });
 
-      // Fetch alerts from both endpoints concurrently if needed
-      const fetchPromises = [];
-      if (needs.hasProduction) {
-        fetchPromises.push(this.fetchAlertsFromEndpoint('production'));
+      this.log(`Alerts per source: ${results.map((r) => `${r.source} ${r.ok ? r.alerts.length : 'failed'}`).join(', ')}`);
+
+      // Remember the outcome for the status overview
+      this._lastFetch = {
+        at: Date.now(),
+        ok: results.every((r) => r.ok),
+        endpoints: results.map((r) => ({ source: r.source, ok: r.ok, alertCount: r.alerts.length })),
+      };
+      if (this._lastFetch.ok) {
+        this._lastSuccessfulFetchAt = this._lastFetch.at;
       }
-      if (needs.hasTest) {
-        fetchPromises.push(this.fetchAlertsFromEndpoint('test'));
+      results.forEach((r) => {
+        const state = this.getSourceState(r.source);
+        state.lastFetch = { at: this._lastFetch.at, ok: r.ok, alertCount: r.alerts.length };
+        state.failureCount = r.ok ? 0 : state.failureCount + 1;
+        if (r.ok) {
+          this._lastAlerts[r.source] = { fetchedAt: this._lastFetch.at, alerts: r.alerts };
+        }
+      });
+
+      // Sources report failures in their results, a fetch where none of them answered counts as failed
+      if (results.length > 0 && results.every((r) => !r.ok)) {
+        this.recordFetchFailure();
+      } else {
+        this._apiFailureCount = 0;
       }
 
-      const results = await Promise.all(fetchPromises);
+      await this.distributeAlerts(resultsBySource);
+      await this.distributeSmhiWarnings(resultsBySource.smhi);
+      await this.distributeKrisinformationMessages(resultsBySource.krisinformation);
 
-      // Separate production and test alerts
-      const productionAlerts = results.find((r) => r.type === 'production')?.alerts || [];
-      const testAlerts = results.find((r) => r.type === 'test')?.alerts || [];
+    } catch (error) {
+      this.error('=== Error in fetchAndDistributeAlerts ===');
+      this.error('Error:', error.message);
 
-      this.log(`Production alerts: ${productionAlerts.length}, Test alerts: ${testAlerts.length}`);
+      this.recordFetchFailure();
+    } finally {
+      this._fetchInProgress = false;
+    }
 
-      // Reset failure count on successful fetch
+    // Run the fetch requested while this one was running
+    if (this._queuedSourceIds) {
+      const queued = this._queuedSourceIds;
+      this._queuedSourceIds = null;
+      this.fetchAndDistributeAlerts(queued).catch((err) => {
+        this.error('Queued fetchAndDistributeAlerts failed:', err);
+      });
+    }
+  }
+
+  /**
+   * Count a failed fetch and open the circuit breaker after too many failures in a row
+   * While the circuit breaker is open, fetches are skipped instead of hammering the failing sources
+   */
+  recordFetchFailure() {
+    this._apiFailureCount++;
+    if (this._apiFailureCount < CONFIG.CIRCUIT_BREAKER_THRESHOLD || this._apiCircuitOpen) {
+      return;
+    }
+
+    this._apiCircuitOpen = true;
+    this.log(`Opening circuit breaker after ${this._apiFailureCount} failures`);
+    this._circuitResetTimer = setTimeout(() => {
+      this._circuitResetTimer = null;
+      this._apiCircuitOpen = false;
       this._apiFailureCount = 0;
+      this.log('Circuit breaker reset');
+    }, CONFIG.CIRCUIT_BREAKER_RESET);
+  }
 
-      // Get all VMA devices
-      let driver;
-      let devices;
+  /**
+   * Distribute fetched alerts to the VMA devices listening to their sources
+   * @param {Object} resultsBySource - Fetch results by source ID, see fetchAlertsFromSource()
+   * @returns {Promise<void>}
+   */
+  async distributeAlerts(resultsBySource) {
+    // Get all VMA devices
+    let driver;
+    let devices;
+    try {
+      driver = this.homey.drivers.getDriver('vma');
+      devices = driver.getDevices();
+    } catch (error) {
+      this.error('Failed to get VMA driver or devices:', error);
+      return;
+    }
+
+    if (devices.length === 0) {
+      this.log('No VMA devices configured, skipping alert distribution');
+      return;
+    }
+
+    // Distribute alerts to devices
+    for (const device of devices) {
       try {
-        driver = this.homey.drivers.getDriver('vma');
-        devices = driver.getDevices();
+        // Skip devices that are turned off
+        if (!device.hasCapability('onoff')) {
+          this.log(`Device ${device.getName()} missing onoff capability, skipping`);
+          continue;
+        }
+        const onoff = await device.getCapabilityValue('onoff');
+        if (!onoff) {
+          continue;
+        }
+
+        const deviceAreaCodes = device.getAreaCodes();
+
+        // Combine the alerts of the sources the device listens to, if any of them were fetched
+        const sourceIds = device.getSourceIds();
+        const sourceResults = sourceIds.map((sourceId) => resultsBySource[sourceId]).filter(Boolean);
+        if (sourceResults.length === 0) {
+          continue;
+        }
+        const alertSource = this.mergeAlerts(sourceResults.map((r) => r.alerts));
+
+        // Only successful fetches of all sources make a complete list of current alerts
+        const authoritative = sourceResults.length === sourceIds.length && sourceResults.every((r) => r.ok);
+
+        // Filter alerts for this device's areas
+        const geometry = device.getAreaGeometry();
+        const relevantAlerts = alertSource.filter((alert) => {
+          return this.getMatchedAreaCodes(alert, deviceAreaCodes, geometry).length > 0;
+        });
+
+        this.log(`Device ${device.getName()} (${deviceAreaCodes.join(',')}, sources=${sourceResults.map((r) => r.source).join(',')}): ${relevantAlerts.length} relevant alerts`);
+
+        // Let the device process its relevant alerts
+        await device.processAlerts(relevantAlerts, { authoritative });
+
       } catch (error) {
-        this.error('Failed to get VMA driver or devices:', error);
-        return;
+        this.error(`Error processing alerts for device ${device.getName()}:`, error);
       }
+    }
 
-      if (devices.length === 0) {
-        this.log('No VMA devices configured, skipping alert distribution');
-        return;
+    // Confirm soon whether incidents missing from this list have really ended
+    if (devices.some((device) => device.hasPendingMissingIncidents())) {
+      this.scheduleReconcileConfirmation();
+    }
+  }
+
+  /**
+   * Distribute fetched SMHI warnings to the SMHI devices
+   * @param {Object} [result] - Fetch result of the SMHI source, undefined if it was not fetched
+   * @returns {Promise<void>}
+   */
+  async distributeSmhiWarnings(result) {
+    if (!result) {
+      return;
+    }
+
+    let devices;
+    try {
+      devices = this.homey.drivers.getDriver('smhi').getDevices();
+    } catch (error) {
+      this.error('Failed to get SMHI driver or devices:', error);
+      return;
+    }
+
+    for (const device of devices) {
+      try {
+        // Skip devices that are turned off
+        if (device.getCapabilityValue('onoff') === false) {
+          continue;
+        }
+
+        const relevantWarnings = result.alerts.filter((warning) => device.warningApplies(warning));
+        this.log(`Device ${device.getName()} (${device.getAreaCode()}): ${relevantWarnings.length} relevant SMHI warnings`);
+
+        await device.processWarnings(relevantWarnings, { authoritative: result.ok });
+      } catch (error) {
+        this.error(`Error processing SMHI warnings for device ${device.getName()}:`, error);
       }
+    }
+  }
 
-      // Distribute alerts to devices
-      for (const device of devices) {
-        try {
-          // Skip devices that are turned off
-          if (!device.hasCapability('onoff')) {
-            this.log(`Device ${device.getName()} missing onoff capability, skipping`);
-            continue;
-          }
-          const onoff = await device.getCapabilityValue('onoff');
-          if (!onoff) {
-            continue;
-          }
-
-          const deviceAreaCode = device.getData().id;
-          const settings = device.getSettings();
-          const deviceTestMode = settings.test_mode === true;
-
-          // Select the correct alert source based on device test mode
-          const alertSource = deviceTestMode ? testAlerts : productionAlerts;
-
-          // Filter alerts for this device's area
-          let relevantAlerts;
-
-          // Special case: geocode "00" receives ALL alerts (nationwide)
-          if (deviceAreaCode === '00') {
-            relevantAlerts = alertSource;
-          } else {
-            relevantAlerts = alertSource.filter((alert) => {
-              // Match exact area code or check if alert applies to this area
-              // The API may return alerts for parent regions (e.g., county alerts for municipalities)
-              if (!alert.info || !Array.isArray(alert.info)) return false;
-
-              return alert.info.some((info) => {
-                if (!info.area || !Array.isArray(info.area)) return false;
-
-                return info.area.some((area) => {
-                  // Check if the geocode matches exactly or if this is a county-wide alert
-                  // and the device is in that county (first 2 digits match)
-                  const alertGeocode = area.geocode;
-                  if (!alertGeocode) return false;
-
-                  // Exact match
-                  if (alertGeocode === deviceAreaCode) return true;
-
-                  // County-wide alert (2 digits) matches municipality (4 digits, first 2 match)
-                  if (alertGeocode.length === 2 && deviceAreaCode.length === 4) {
-                    return deviceAreaCode.startsWith(alertGeocode);
-                  }
-
-                  return false;
-                });
-              });
-            });
-          }
-
-          this.log(`Device ${device.getName()} (${deviceAreaCode}, test=${deviceTestMode}): ${relevantAlerts.length} relevant alerts`);
-
-          // Let the device process its relevant alerts
-          await device.processAlerts(relevantAlerts);
+  /**
+   * Distribute fetched Krisinformation.se messages to the VMA devices whose areas they concern
+   * Messages only reach the Krisinformation flow card and the alert history, never the VMA incidents
+   * @param {Object} [result] - Fetch result of the Krisinformation source, undefined if it was not fetched
+   * @returns {Promise<void>}
+   */
+  async distributeKrisinformationMessages(result) {
+    if (!result) {
+      return;
+    }
 
-        } catch (error) {
-          this.error(`Error processing alerts for device ${device.getName()}:`, error);
+    let devices;
+    try {
+      devices = this.homey.drivers.getDriver('vma').getDevices();
+    } catch (error) {
+      this.error('Failed to get VMA driver or devices:', error);
+      return;
+    }
+
+    for (const device of devices) {
+      try {
+        // Skip devices that are turned off
+        if (device.getCapabilityValue('onoff') === false) {
+          continue;
         }
+
+        const deviceAreaCodes = device.getAreaCodes();
+        const relevantMessages = result.alerts.filter((message) => {
+          return message.areaCodes.some((code) => deviceAreaCodes.some((areaCode) => areasOverlap(code, areaCode)));
+        });
+
+        await device.processKrisinformationMessages(relevantMessages, { authoritative: result.ok });
+      } catch (error) {
+        this.error(`Error processing Krisinformation messages for device ${device.getName()}:`, error);
       }
+    }
+  }
+
+  /**
+   * Close and re-open all needed SSE connections
+   */
+  reconnectSSE() {
+    this.log('Manual SSE reconnection requested');
+
+    Object.keys(this._sourceStates).forEach((sourceId) => {
+      this.closeSSE(sourceId);
+      this.getSourceState(sourceId).retryCount = 0;
+    });
+
+    this.setupSSEConnections();
+  }
 
+  /**
+   * Get an overview of connections, fetches and active incidents
+   * @returns {Object} Status overview
+   */
+  getStatus() {
+    const needed = this.getNeededSourceIds();
+    const endpoints = {};
+    this.getSources().forEach((source) => {
+      const sse = this.getSourceState(source.id);
+      endpoints[source.id] = {
+        name: source.name,
+        builtIn: source.builtIn,
+        polled: !source.sseUrl,
+        needed: needed.includes(source.id),
+        connected: sse.connected,
+        connectedAt: sse.connectedAt,
+        disconnectedAt: sse.disconnectedAt,
+        lastMessageAt: sse.lastMessageAt,
+        retryCount: sse.retryCount,
+        reconnectScheduled: sse.reconnectTimer !== null,
+        lastFetch: sse.lastFetch,
+        failureCount: sse.failureCount,
+      };
+    });
+
+    let devices = [];
+    try {
+      devices = Object.values(this.homey.drivers.getDrivers())
+        .flatMap((driver) => driver.getDevices())
+        .map((device) => device.getStatus());
     } catch (error) {
-      this.error('=== Error in fetchAndDistributeAlerts ===');
-      this.error('Error:', error.message);
+      this.error('Failed to get devices for status:', error);
+    }
+
+    return {
+      endpoints,
+      polling: {
+        active: this._pollTimer !== null,
+        sources: this._sourcePollTimer !== null,
+        interval: this._pollIntervalMs || this.getPollInterval(),
+      },
+      circuitBreaker: {
+        open: this._apiCircuitOpen,
+        failureCount: this._apiFailureCount,
+      },
+      lastFetch: this._lastFetch,
+      lastSuccessfulFetchAt: this._lastSuccessfulFetchAt,
+      devices,
+    };
+  }
+
+  /**
+   * Get the alerts of each source as last successfully fetched
+   * @returns {Object} Alerts per source ID, for the sources fetched so far
+   */
+  getLastAlerts() {
+    return this._lastAlerts;
+  }
+
+  /**
+   * Get which of a device's areas an alert applies to
+   * The device's location lies in its first area, so the other areas are matched on their area code
+   * @param {Object} alert - The CAP alert
+   * @param {string[]} areaCodes - The device's area codes
+   * @param {Object|null} geometry - The device's location, see getAreaGeometry()
+   * @returns {string[]} The matching area codes
+   */
+  getMatchedAreaCodes(alert, areaCodes, geometry) {
+    return areaCodes.filter((areaCode, index) => {
+      return this.alertMatchesArea(alert, areaCode, index === 0 ? geometry : null);
+    });
+  }
 
-      // Circuit breaker: track failures and open circuit after threshold
-      this._apiFailureCount++;
-      if (this._apiFailureCount >= 5) {
-        this._apiCircuitOpen = true;
-        this.log('Opening circuit breaker after 5 failures');
-        setTimeout(() => {
-          this._apiCircuitOpen = false;
-          this._apiFailureCount = 0;
-          this.log('Circuit breaker reset');
-        }, 300000); // 5 minutes
+  /**
+   * Check whether an alert applies to an area
+   * @param {Object} alert - The CAP alert
+   * @param {string} areaCode - The area code
+   * @param {Object|null} geometry - The device's location, see getAreaGeometry()
+   * @returns {boolean} True if any of the alert's areas match
+   */
+  alertMatchesArea(alert, areaCode, geometry) {
+    // Special case: geocode "00" receives ALL alerts (nationwide)
+    if (areaCode === NATIONWIDE) return true;
+
+    if (!alert.info || !Array.isArray(alert.info)) return false;
+
+    return alert.info.some((info) => {
+      if (!info.area || !Array.isArray(info.area)) return false;
+
+      return info.area.some((area) => this.areaMatches(area, areaCode, geometry));
+    });
+  }
+
+  /**
+   * Check whether a CAP area matches a device
+   * Areas with a polygon or circle are matched geometrically when the device has a location,
+   * otherwise the area's geocode is matched against the device's area code
+   * @param {Object} area - The CAP area
+   * @param {string} areaCode - The device's area code
+   * @param {Object|null} geometry - The device's location, see getAreaGeometry()
+   * @returns {boolean} True if the area matches
+   */
+  areaMatches(area, areaCode, geometry) {
+    const polygons = [].concat(area.polygon || []).map(parseCapPolygon).filter(Boolean);
+    const circles = [].concat(area.circle || []).map(parseCapCircle).filter(Boolean);
+
+    if (geometry && (polygons.length > 0 || circles.length > 0)) {
+      if (geometry.polygon) {
+        return polygons.some((ring) => ringsIntersect(ring, geometry.polygon))
+          || circles.some((circle) => circleIntersectsRing(circle, geometry.polygon));
       }
-    } finally {
-      this._fetchInProgress = false;
+
+      return polygons.some((ring) => pointInRing(geometry.point, ring))
+        || circles.some((circle) => distanceKm(geometry.point, circle.center) <= circle.radius);
+    }
+
+    // The API may return alerts for parent regions (e.g., county alerts for municipalities),
+    // and a county device covers alerts for each of its municipalities
+    const alertGeocode = area.geocode;
+    if (!alertGeocode) return false;
+
+    return areasOverlap(alertGeocode, areaCode);
+  }
+
+  /**
+   * Get a VMA device by its ID
+   * The area code cannot identify a device, as devices may share it or watch several areas
+   * @param {string} id - The ID in the device data, as listed in the status of the device
+   * @returns {Object} The device
+   */
+  getVMADevice(id) {
+    const device = this.homey.drivers.getDriver('vma').getDevices()
+      .find((candidate) => String(candidate.getData().id) === id);
+
+    if (!device) {
+      throw new Error(`No VMA device with ID ${id}`);
+    }
+
+    return device;
+  }
+
+  /**
+   * Claim an alert event so it is only handled once across devices
+   * @param {string} key - Identifies the alert event, e.g. 'notification:new:<identifier>'
+   * @returns {boolean} True if the event was not handled before
+   */
+  claimAlertEvent(key) {
+    const now = Date.now();
+
+    // Forget old events
+    for (const [handledKey, handledAt] of this._handledEvents) {
+      if (now - handledAt > CONFIG.EVENT_DEDUPE_TTL) {
+        this._handledEvents.delete(handledKey);
+      }
+    }
+
+    if (this._handledEvents.has(key)) {
+      this.log(`Alert event ${key} already handled, skipping`);
+      return false;
+    }
+
+    this._handledEvents.set(key, now);
+    return true;
+  }
+
+  /**
+   * Send a timeline notification (also pushed to the mobile app) once per alert event
+   * @param {string} key - Identifies the alert event across devices, e.g. 'new:<identifier>'
+   * @param {string} excerpt - Notification text
+   * @returns {Promise<boolean>} True if the notification was sent, false if it was a duplicate
+   */
+  async sendNotification(key, excerpt) {
+    if (!this.claimAlertEvent(`notification:${key}`)) {
+      return false;
+    }
+
+    try {
+      await this.homey.notifications.createNotification({ excerpt });
+      return true;
+    } catch (error) {
+      this._handledEvents.delete(`notification:${key}`);
+      this.error('Failed to create notification:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Play a bundled Hesa Fredrik signal on Homey's speaker
+   * @param {string} signal - 'warning' (Viktigt meddelande) or 'all_clear' (Faran över)
+   * @param {string} [volume] - 'high', 'medium' or 'low', defaults to the volume of the original recording
+   * @returns {Promise<void>}
+   */
+  async playSignal(signal, volume = 'high') {
+    const level = SIGNAL_VOLUMES.includes(volume) ? volume : 'high';
+    const file = level === 'high' ? `${SIGNALS[signal]}.mp3` : `${SIGNALS[signal]}-${level}.mp3`;
+
+    this.log(`Playing ${signal} signal at ${level} volume`);
+    await this.homey.audio.playMp3(`vma_${signal}_${level}`, path.join(__dirname, 'assets', 'sounds', file));
+  }
+
+  /**
+   * Play a signal for an alert event once across devices
+   * @param {string} key - Identifies the alert event across devices, e.g. 'new:<identifier>'
+   * @param {string} signal - 'warning' or 'all_clear'
+   * @param {string} [volume] - 'high', 'medium' or 'low'
+   * @returns {Promise<void>}
+   */
+  async playAlertSignal(key, signal, volume) {
+    if (!this.claimAlertEvent(`signal:${key}`)) {
+      return;
+    }
+
+    try {
+      await this.playSignal(signal, volume);
+    } catch (error) {
+      this.error(`Failed to play ${signal} signal:`, error);
+    }
+  }
+
+  /**
+   * Split text into parts short enough for Homey's speech output, preferably at sentence ends
+   * @param {string} text - Text to split
+   * @returns {string[]} Text parts
+   */
+  splitSpeechText(text) {
+    const parts = [];
+    let current = '';
+
+    // Words longer than the limit are cut into pieces
+    const words = [];
+    const normalized = String(text).replace(/\s+/g, ' ').trim();
+    normalized.split(' ').forEach((word) => {
+      for (let i = 0; i < word.length; i += CONFIG.MAX_SPEECH_LENGTH) {
+        words.push(word.substring(i, i + CONFIG.MAX_SPEECH_LENGTH));
+      }
+    });
+
+    for (const word of words) {
+      let candidate = current ? `${current} ${word}` : word;
+
+      if (candidate.length > CONFIG.MAX_SPEECH_LENGTH) {
+        // Prefer breaking after the last sentence end in the current part
+        const sentenceEnd = Math.max(current.lastIndexOf('. '), current.lastIndexOf('! '), current.lastIndexOf('? '));
+        if (sentenceEnd > 0) {
+          parts.push(current.substring(0, sentenceEnd + 1));
+          current = current.substring(sentenceEnd + 2);
+          candidate = current ? `${current} ${word}` : word;
+        }
+
+        if (candidate.length > CONFIG.MAX_SPEECH_LENGTH) {
+          parts.push(current);
+          candidate = word;
+        }
+      }
+
+      current = candidate;
+    }
+
+    if (current) {
+      parts.push(current);
+    }
+
+    return parts;
+  }
+
+  /**
+   * Read text aloud on Homey's speaker
+   * @param {string} text - Text to read
+   * @returns {Promise<void>}
+   */
+  async speak(text) {
+    for (const part of this.splitSpeechText(text)) {
+      await this.homey.speechOutput.say(part);
+    }
+  }
+
+  /**
+   * Read an alert event aloud once across devices
+   * @param {string} key - Identifies the alert event across devices, e.g. 'new:<identifier>'
+   * @param {string} text - Text to read
+   * @returns {Promise<void>}
+   */
+  async speakAlertEvent(key, text) {
+    if (!this.claimAlertEvent(`speech:${key}`)) {
+      return;
+    }
+
+    try {
+      await this.speak(text);
+    } catch (error) {
+      this.error('Failed to read alert aloud:', error);
+    }
+  }
+
+  /**
+   * Record an alert event in the alert history
+   * @param {Object} device - The VMA device that handled the alert
+   * @param {Object} entry - Event details (type, incidentIds and a summary of the alert)
+   */
+  recordAlertHistory(device, entry) {
+    try {
+      const deviceInfo = {
+        name: device.getName(),
+        areaCode: device.getAreaCode(),
+        testMode: device.getSettings().test_mode === true,
+      };
+      this.alertHistory.add(Object.assign(entry, { device: deviceInfo }));
+    } catch (error) {
+      this.error('Failed to record alert history:', error);
     }
   }
 
+  /**
+   * Get recorded alert events, newest first
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum number of entries
+   * @param {string} [options.areaCode] - Only entries of devices for this area code
+   * @returns {Array} History entries
+   */
+  getAlertHistory(options) {
+    return this.alertHistory.get(options);
+  }
+
+  /**
+   * Format a history entry as a single line of text
+   * @param {Object} entry - History entry
+   * @returns {string} Formatted entry
+   */
+  formatHistoryEntry(entry) {
+    const time = entry.timestamp.substring(0, 16).replace('T', ' ');
+    const area = entry.area ? ` (${entry.area})` : '';
+    return `${time} ${entry.type}: ${entry.event || entry.identifier}${area}`;
+  }
+
+  /**
+   * Schedule a fetch confirming that incidents missing from the alert list have ended
+   */
+  scheduleReconcileConfirmation() {
+    if (this._reconcileConfirmTimer) {
+      return; // Already scheduled
+    }
+
+    this.log(`Scheduling confirmation fetch in ${CONFIG.RECONCILE_CONFIRM_DELAY}ms for incidents missing from alert list`);
+    this._reconcileConfirmTimer = setTimeout(() => {
+      this._reconcileConfirmTimer = null;
+      this.debouncedFetchAndDistributeAlerts();
+    }, CONFIG.RECONCILE_CONFIRM_DELAY);
+  }
+
   /**
    * Called when app is being destroyed
    */
   async onUninit() {
     this.log('Hesa Fredrik is being destroyed');
 
+    // Clear SSE setup that has not run yet
+    if (this._initTimer) {
+      clearTimeout(this._initTimer);
+      this._initTimer = null;
+    }
+
+    // Clear pending update of changed sources
+    if (this._sourceUpdateTimer) {
+      clearTimeout(this._sourceUpdateTimer);
+      this._sourceUpdateTimer = null;
+    }
+
     // Clear pending debounced fetch
     if (this._fetchDebounceTimer) {
       clearTimeout(this._fetchDebounceTimer);
       this._fetchDebounceTimer = null;
     }
 
+    // Clear pending confirmation fetch
+    if (this._reconcileConfirmTimer) {
+      clearTimeout(this._reconcileConfirmTimer);
+      this._reconcileConfirmTimer = null;
+    }
+
+    // Clear pending reset of the circuit breaker
+    if (this._circuitResetTimer) {
+      clearTimeout(this._circuitResetTimer);
+      this._circuitResetTimer = null;
+    }
+
     // Stop SSE health monitoring
     if (this._sseHealthCheckInterval) {
       clearInterval(this._sseHealthCheckInterval);
       this._sseHealthCheckInterval = null;
     }
 
-    // Clean up both SSE connections
-    this.closeSSE('production');
-    this.closeSSE('test');
+    // Stop polling fallback
+    if (this._pollCheckInterval) {
+      clearInterval(this._pollCheckInterval);
+      this._pollCheckInterval = null;
+    }
+    this.stopPolling();
+    this.stopSourcePolling();
+    this._queuedSourceIds = null;
+
+    // Clean up all SSE connections
+    Object.keys(this._sourceStates).forEach((sourceId) => this.closeSSE(sourceId));
   }
 
 }
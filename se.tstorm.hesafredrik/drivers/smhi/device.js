@@ -0,0 +1,351 @@
+'use strict';
+
+const { Device } = require('homey');
+const { SMHI_LEVELS, levelAtLeast, warningAffectsArea } = require('../../lib/smhi');
+const en = require('../../locales/en.json');
+const sv = require('../../locales/sv.json');
+
+// Message strings for each supported language, so the device language can differ from Homey's
+const LOCALES = { en, sv };
+
+// Alert history event type for each kind of warning event
+const HISTORY_TYPES = {
+  new: 'SMHI warning',
+  updated: 'SMHI update',
+  ended: 'SMHI ended',
+};
+
+class SmhiDevice extends Device {
+
+  /**
+   * onInit is called when the device is initialized.
+   */
+  async onInit() {
+    // Active warning areas by ID, as received from SMHI
+    const stored = await this.getStoreValue('warnings');
+    this.warnings = stored && typeof stored === 'object' ? stored : {};
+
+    this.onoff = await this.getStoreValue('onoff');
+    if (this.onoff === null) {
+      this.onoff = true;
+      await this.setStoreValue('onoff', true);
+    }
+
+    if (!this.hasCapability('message')) {
+      await this.addCapability('message');
+    }
+
+    this.registerCapabilityListener('onoff', async (value) => {
+      this.log('onoff:', value);
+      this.onoff = value;
+      await this.setStoreValue('onoff', value);
+
+      // Request an immediate update from the app when device is turned on
+      if (value) {
+        this.homey.app.debouncedFetchAndDistributeAlerts();
+      }
+    });
+
+    await this.setCapabilityValue('onoff', this.onoff);
+    await this.updateAlarmState();
+
+    this.log(`SMHI device ${this.getName()} has been initialized for area ${this.getAreaCode()}`);
+  }
+
+  /**
+   * Get the area code this device watches
+   * @returns {string} Code of the country, a county or a municipality
+   */
+  getAreaCode() {
+    return this.getData().id;
+  }
+
+  /**
+   * Get the sources this device listens to
+   * @returns {string[]} The SMHI warnings source
+   */
+  getSourceIds() {
+    return ['smhi'];
+  }
+
+  /**
+   * Get the language warnings are shown in
+   * @returns {string} The language chosen in the device settings, otherwise Homey's language
+   */
+  getLanguage() {
+    const { language } = this.getSettings();
+    if (language && language !== 'auto') {
+      return language;
+    }
+
+    // Defaults to Swedish if Homey's language is not available
+    return this.homey.i18n?.getLanguage?.() || 'sv';
+  }
+
+  /**
+   * Translate a string into the device language, like homey.__ does for Homey's language
+   * @param {string} key - Key of the string in the locales, e.g. 'notifications.smhi_new'
+   * @param {Object} [tokens] - Values of the __name__ placeholders in the string
+   * @returns {string} The translated string
+   */
+  translate(key, tokens = {}) {
+    const text = key.split('.').reduce((strings, part) => strings?.[part], LOCALES[this.getLanguage()] || LOCALES.en);
+    return text.replace(/__(\w+)__/g, (placeholder, name) => (name in tokens ? tokens[name] : placeholder));
+  }
+
+  /**
+   * Get the text of a localized SMHI text in the device language
+   * @param {Object} text - Object with sv and en texts
+   * @returns {string} The text, Swedish for languages SMHI does not publish
+   */
+  localize(text) {
+    return (text && (text[this.getLanguage()] || text.sv)) || '';
+  }
+
+  /**
+   * Check whether a warning applies to this device, by area and the lowest level in the device settings
+   * @param {Object} warning - The warning area, see lib/smhi.js
+   * @returns {boolean} True if the device should handle the warning
+   */
+  warningApplies(warning) {
+    return levelAtLeast(warning.level, this.getSettings().min_level || 'YELLOW')
+      && warningAffectsArea(warning, this.getAreaCode());
+  }
+
+  /**
+   * Process the warnings received from the app
+   * @param {Array} warnings - Warning areas that apply to this device
+   * @param {Object} [options]
+   * @param {boolean} [options.authoritative] - True if warnings is the complete list of current warnings
+   * @returns {Promise<void>}
+   */
+  async processWarnings(warnings, { authoritative = false } = {}) {
+    const now = Date.now();
+    const current = warnings.filter((warning) => !warning.end || Date.parse(warning.end) > now);
+
+    for (const warning of current) {
+      const previous = this.warnings[warning.id];
+      if (!previous) {
+        await this.handleWarning('new', warning);
+      } else if (previous.level !== warning.level || previous.end !== warning.end
+        || previous.description.sv !== warning.description.sv) {
+        await this.handleWarning('updated', warning, previous);
+      }
+    }
+
+    // Warnings that passed their end time have ended; missing ones only if the list is complete
+    const currentIds = current.map((warning) => warning.id);
+    const allIds = warnings.map((warning) => warning.id);
+    for (const warningId of Object.keys(this.warnings)) {
+      const warning = this.warnings[warningId];
+      if (currentIds.includes(warningId)) {
+        continue;
+      }
+      if (allIds.includes(warningId) || (warning.end && Date.parse(warning.end) <= now)) {
+        await this.handleWarning('ended', warning, null, 'expired');
+      } else if (authoritative) {
+        await this.handleWarning('ended', warning, null, 'removed');
+      }
+    }
+
+    await this.updateAlarmState();
+  }
+
+  /**
+   * Store a warning event, trigger its flow card, notify and record it in the alert history
+   * @param {string} kind - 'new', 'updated' or 'ended'
+   * @param {Object} warning - The warning area
+   * @param {Object} [previous] - The warning area as it was before an update
+   * @param {string} [reason] - Why the warning ended: 'expired' or 'removed'
+   * @returns {Promise<void>}
+   */
+  async handleWarning(kind, warning, previous, reason) {
+    this.log(`SMHI warning ${kind}: ${warning.id} ${warning.level} ${warning.event.sv}${reason ? ` (${reason})` : ''}`);
+
+    if (kind === 'ended') {
+      delete this.warnings[warning.id];
+    } else {
+      this.warnings[warning.id] = warning;
+    }
+    await this.setStoreValue('warnings', this.warnings);
+
+    const tokens = this.buildWarningTokens(warning);
+    if (kind === 'new') {
+      this.driver.triggerWarning(this, tokens, { warningId: warning.id });
+    } else if (kind === 'updated') {
+      tokens.previous_level = this.localize(previous.levelName);
+      this.driver.triggerWarningUpdated(this, tokens, { warningId: warning.id });
+    } else {
+      tokens.reason = reason;
+      this.driver.triggerWarningEnded(this, tokens, { warningId: warning.id });
+    }
+
+    await this.notify(kind, warning, tokens.message);
+
+    this.homey.app.recordAlertHistory(this, {
+      type: HISTORY_TYPES[kind],
+      source: 'smhi',
+      identifier: warning.id,
+      sent: warning.published,
+      onset: warning.start || null,
+      expires: warning.end || null,
+      level: warning.level,
+      event: tokens.event,
+      area: tokens.area,
+      message: tokens.message,
+      reason,
+    });
+  }
+
+  /**
+   * Create a Homey notification for a warning event if enabled in the device settings
+   * @param {string} kind - 'new', 'updated' or 'ended'
+   * @param {Object} warning - The warning area
+   * @param {string} message - The formatted warning message
+   * @returns {Promise<void>}
+   */
+  async notify(kind, warning, message) {
+    if (this.getSettings().notify_enabled !== true) {
+      return;
+    }
+
+    const excerpt = this.translate(`notifications.smhi_${kind}`, { message });
+    await this.homey.app.sendNotification(`smhi:${kind}:${warning.id}:${warning.level}`, excerpt);
+  }
+
+  /**
+   * Build the tokens of the SMHI flow cards
+   * @param {Object} warning - The warning area
+   * @returns {Object} Flow tokens
+   */
+  buildWarningTokens(warning) {
+    return {
+      message: this.formatWarningMessage(warning),
+      level: this.localize(warning.levelName),
+      level_code: warning.level,
+      event: this.localize(warning.event),
+      area: this.localize(warning.areaName),
+      description: this.localize(warning.description),
+      start: warning.start || '',
+      end: warning.end || '',
+      warning_id: warning.id,
+    };
+  }
+
+  /**
+   * Format a one-line message for a warning in the device language
+   * @param {Object} warning - The warning area
+   * @returns {string} Formatted message
+   */
+  formatWarningMessage(warning) {
+    const strings = (LOCALES[this.getLanguage()] || LOCALES.en).smhi;
+    const template = warning.level === 'MESSAGE' ? strings.message : strings.warning;
+    const values = {
+      level: this.localize(warning.levelName),
+      event: this.localize(warning.event),
+      area: this.localize(warning.areaName),
+    };
+
+    return template.replace(/__(\w+)__/g, (placeholder, name) => values[name]);
+  }
+
+  /**
+   * Check whether the device has an active warning
+   * @param {string} [level] - Lowest level to look for
+   * @returns {boolean} True if a warning of at least this level is active
+   */
+  hasActiveWarning(level = SMHI_LEVELS[0]) {
+    return Object.values(this.warnings).some((warning) => levelAtLeast(warning.level, level));
+  }
+
+  /**
+   * Get the active warning with the highest level, the most recently published one of equal levels
+   * @returns {Object|null} The warning area, or null if there is none
+   */
+  getHighestWarning() {
+    return Object.values(this.warnings).reduce((highest, warning) => {
+      if (!highest) {
+        return warning;
+      }
+      const order = SMHI_LEVELS.indexOf(warning.level) - SMHI_LEVELS.indexOf(highest.level);
+      return order > 0 || (order === 0 && (warning.published || '') > (highest.published || '')) ? warning : highest;
+    }, null);
+  }
+
+  /**
+   * Reflect the active warnings in the alarm_generic and message capabilities
+   * @returns {Promise<void>}
+   */
+  async updateAlarmState() {
+    const highest = this.getHighestWarning();
+
+    try {
+      await this.setCapabilityValue('alarm_generic', highest !== null);
+      await this.setCapabilityValue('message', highest ? this.formatWarningMessage(highest) : null);
+    } catch (err) {
+      this.error(`Failed to update capabilities: ${err.message}`);
+    }
+  }
+
+  /**
+   * Get a summary of the device for the app settings, in the shape of the VMA devices
+   * @returns {Object} Device status
+   */
+  getStatus() {
+    return {
+      id: this.getData().id,
+      driver: this.driver.id,
+      name: this.getName(),
+      areaCode: this.getAreaCode(),
+      areaCodes: [this.getAreaCode()],
+      testMode: false,
+      sources: this.getSourceIds(),
+      enabled: this.getCapabilityValue('onoff') === true,
+      incidents: Object.values(this.warnings).map((warning) => ({
+        id: warning.id,
+        identifier: warning.warningId,
+        status: warning.level,
+        sent: warning.published,
+        event: this.localize(warning.event),
+        area: this.localize(warning.areaName),
+        acknowledged: false,
+      })),
+    };
+  }
+
+  /**
+   * onAdded is called when the user adds the device, called just after pairing.
+   */
+  async onAdded() {
+    this.log('SMHI device has been added');
+
+    await this.homey.app.fetchAndDistributeAlerts().catch((err) => {
+      this.error('Failed to fetch warnings for new device:', err);
+    });
+  }
+
+  /**
+   * onSettings is called when the user updates the device's settings.
+   * @param {object} event the onSettings event data
+   * @param {object} event.oldSettings The old settings object
+   * @param {object} event.newSettings The new settings object
+   * @param {string[]} event.changedKeys An array of keys changed since the previous version
+   * @returns {Promise<string|void>} return a custom message that will be displayed
+   */
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    // Settings are applied once this returns, so warnings are distributed again shortly after
+    if (changedKeys.includes('min_level') || changedKeys.includes('language')) {
+      this.homey.app.debouncedFetchAndDistributeAlerts();
+    }
+  }
+
+  /**
+   * onDeleted is called when the user deleted the device.
+   */
+  async onDeleted() {
+    this.log('SMHI device has been deleted');
+  }
+
+}
+
+module.exports = SmhiDevice;
@@ -0,0 +1,116 @@
+'use strict';
+
+const { Driver } = require('homey');
+const { AreaCodes } = require('../vma/areacodes');
+
+class SmhiDriver extends Driver {
+
+  pairingCounty = null;
+
+  /**
+   * onInit is called when the driver is initialized.
+   */
+  async onInit() {
+    this.log('SMHI driver has been initialized');
+
+    this._warning_trigger = this.homey.flow.getDeviceTriggerCard('smhi_warning_trigger');
+    this._warning_updated_trigger = this.homey.flow.getDeviceTriggerCard('smhi_warning_updated_trigger');
+    this._warning_ended_trigger = this.homey.flow.getDeviceTriggerCard('smhi_warning_ended_trigger');
+
+    // Devices that are turned off do not trigger flows
+    [this._warning_trigger, this._warning_updated_trigger, this._warning_ended_trigger].forEach((card) => {
+      card.registerRunListener(async (args) => {
+        try {
+          return !args.device || args.device.getCapabilityValue('onoff') !== false;
+        } catch (error) {
+          this.error('Error in SMHI flow run listener:', error);
+          return false;
+        }
+      });
+    });
+
+    this.homey.flow.getConditionCard('has_active_smhi_warning')
+      .registerRunListener(async (args) => args.device.hasActiveWarning(args.level));
+  }
+
+  triggerWarning(device, tokens, state) {
+    this._warning_trigger
+      .trigger(device, tokens, state)
+      .catch((err) => this.error('Failed to trigger SMHI warning flow:', err));
+  }
+
+  triggerWarningUpdated(device, tokens, state) {
+    this._warning_updated_trigger
+      .trigger(device, tokens, state)
+      .catch((err) => this.error('Failed to trigger SMHI warning updated flow:', err));
+  }
+
+  triggerWarningEnded(device, tokens, state) {
+    this._warning_ended_trigger
+      .trigger(device, tokens, state)
+      .catch((err) => this.error('Failed to trigger SMHI warning ended flow:', err));
+  }
+
+  /**
+   * onPair is called when the user starts pairing a new device
+   * @param {object} session
+   * @returns {Promise<void>}
+   */
+  async onPair(session) {
+    this.log('SMHI driver onPair');
+    this.pairingCounty = null;
+
+    session.setHandler('get_counties', async () => {
+      const counties = [
+        { name: AreaCodes['00'].name, id: '00' },
+        { name: '────────────────────────', id: 'separator' },
+      ];
+
+      Object.keys(AreaCodes)
+        .filter((code) => code !== '00')
+        .sort((a, b) => AreaCodes[a].name.localeCompare(AreaCodes[b].name))
+        .forEach((code) => counties.push({ name: AreaCodes[code].name, id: code }));
+
+      return counties;
+    });
+
+    session.setHandler('set_county', async (data) => {
+      // Ignore empty or separator selection
+      if (!data || !data.id || data.id === 'separator') {
+        return;
+      }
+
+      this.pairingCounty = data.id;
+    });
+
+    session.setHandler('list_devices', async () => this.onPairListDevices());
+  }
+
+  /**
+   * onPairListDevices is called when a user is adding a device
+   * and the 'list_devices' view is called.
+   * Lists the chosen county followed by its municipalities, or the whole country.
+   */
+  async onPairListDevices() {
+    const county = this.pairingCounty || '00';
+    const createDevice = (code, name) => ({
+      name: `SMHI ${code} ${name}`,
+      data: {
+        id: code,
+      },
+    });
+
+    if (county === '00') {
+      return [createDevice('00', AreaCodes['00'].name)];
+    }
+
+    const devices = Object.keys(AreaCodes[county])
+      .filter((code) => code !== 'name')
+      .map((code) => createDevice(code, AreaCodes[county][code]));
+
+    return [createDevice(county, AreaCodes[county].name)].concat(devices);
+  }
+
+}
+
+module.exports = SmhiDriver;
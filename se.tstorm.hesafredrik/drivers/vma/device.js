@@ -1,6 +1,35 @@
 'use strict';
 
 const { Device } = require('homey');
+const { parseCoordinate, parseCapPolygon } = require('../../lib/geo');
+const {
+  isMunicipality, getAreaName, parseAreaCodes, areasOverlap,
+} = require('../../lib/areas');
+const en = require('../../locales/en.json');
+const sv = require('../../locales/sv.json');
+
+// Message strings for each supported language, so the device language can differ from Homey's
+const LOCALES = { en, sv };
+
+// Longest single timer delay; expiry timers further out are re-armed when this elapses
+const MAX_EXPIRY_TIMER_DELAY = 24 * 60 * 60 * 1000;
+
+// CAP severity and urgency values, from lowest to highest
+const SEVERITY_LEVELS = ['Unknown', 'Minor', 'Moderate', 'Severe', 'Extreme'];
+const URGENCY_LEVELS = ['Unknown', 'Past', 'Future', 'Expected', 'Immediate'];
+const CERTAINTY_LEVELS = ['Unknown', 'Unlikely', 'Possible', 'Likely', 'Observed'];
+
+// Alert history event type for each reason an incident can end
+const HISTORY_TYPES = {
+  cancelled: 'Cancel',
+  expired: 'Expired',
+  removed: 'Removed',
+  cleared: 'Cleared',
+  filtered: 'Filtered',
+};
+
+// Reasons an incident ends while its alert is still in effect, which sound no all-clear and send no notification
+const MANUAL_END_REASONS = ['cleared', 'filtered'];
 
 class MyDevice extends Device {
 
@@ -14,13 +43,30 @@ class MyDevice extends Device {
       // Initialize instance properties
       this.incidents = {};
       this.onoff = null;
+      this._expiryTimers = {};
+      this._missingFetches = {};
+      this._filteredAlerts = new Set();
+      this.acknowledgedIncidents = [];
+      this.clearedIncidents = [];
+      this._speechRepeatTimer = null;
+      this._deferredIncidents = [];
+      this._quietHoursTimer = null;
 
       // Migrate incidents from array to object if needed
       this.log('Migrating incidents data...');
       await this.migrateIncidentsData();
       this.log('Migration complete');
 
-      // Initialize onoff from store or default to true
+      // Restore acknowledged incidents, dropping any that are no longer active
+      const acknowledged = await this.getStoreValue('acknowledged_incidents');
+      this.acknowledgedIncidents = (Array.isArray(acknowledged) ? acknowledged : [])
+        .filter((incidentId) => this.incidents[incidentId]);
+
+      // Restore incidents cleared by hand, they stay cleared while their alert is listed
+      const cleared = await this.getStoreValue('cleared_incidents');
+      this.clearedIncidents = Array.isArray(cleared) ? cleared : [];
+
+      // Initialize onoff from store or default to true, before incidents that ended while we were not running are handled
       this.log('Getting onoff state...');
       this.onoff = await this.getStoreValue('onoff');
       if (this.onoff === null) {
@@ -29,14 +75,31 @@ class MyDevice extends Device {
       }
       this.log('onoff state:', this.onoff);
 
+      // End incidents that expired while we were not running and schedule the rest
+      this.log('Reconciling incident expiry...');
+      await this.reconcileIncidentExpiry();
+
+      // Restore alerts deferred by quiet hours, they are delivered when quiet hours end
+      const deferred = await this.getStoreValue('deferred_incidents');
+      this._deferredIncidents = Array.isArray(deferred) ? deferred : [];
+      this.scheduleDeferredDelivery();
+
+      // Resume repeated announcements of alerts that were active before a restart
+      if (this.getRepeatableAlerts().length > 0) {
+        this.startSpeechRepeat();
+      }
+
       if (!this.hasCapability('message')) {
         this.log('Adding message capability');
         await this.addCapability('message');
       }
 
+      await this.updateAvailability();
+
       this.log('VMA device has been initialized');
       this.log('Name:', this.getName());
       this.log('Id:', this.getData().id);
+      this.log('Area code:', this.getAreaCode());
 
       // Simple capability listener - just save the value
       this.registerCapabilityListener('onoff', async (value) => {
@@ -44,6 +107,13 @@ class MyDevice extends Device {
         this.onoff = value;
         await this.setStoreValue('onoff', value);
 
+        // Stop repeating announcements while turned off, and resume them when turned back on
+        if (!value) {
+          this.stopSpeechRepeat();
+        } else if (this.getRepeatableAlerts().length > 0) {
+          this.startSpeechRepeat();
+        }
+
         // Request an immediate update from the app when device is turned on
         if (value) {
           this.log('Device turned on, requesting alerts update...');
@@ -72,9 +142,11 @@ class MyDevice extends Device {
   /**
    * Process alerts received from the app
    * @param {Array} alerts - Array of alert objects filtered for this device's area
+   * @param {Object} [options]
+   * @param {boolean} [options.authoritative] - True if alerts is the complete list of current alerts
    * @returns {Promise<void>}
    */
-  async processAlerts(alerts) {
+  async processAlerts(alerts, options = {}) {
     const settings = this.getSettings();
     const testMode = settings.test_mode || false;
 
@@ -89,17 +161,18 @@ class MyDevice extends Device {
         return;
       }
 
+      const filteredIdentifiers = new Set();
+
       if (alerts.length > 0) {
         this.log('Processing alerts array...');
         // Use for...of instead of forEach to properly handle async operations
         for (const alert of alerts) {
-          // Note: alert.incidents may contain space-separated IDs per API spec,
-          // but we treat as a single tracking key. This matches the VMA API pattern
-          // where multiple IDs are rare, and aligns with Homey's string-based flow pattern.
-          const incidentId = alert.incidents;
+          // alert.incidents may contain several space-separated IDs per API spec,
+          // each of which is tracked as its own incident
+          const incidentIds = this.getIncidentIds(alert);
           // Log full alert details for debugging
           this.log('Processing alert:', JSON.stringify(alert));
-          this.log(`Alert: ID=${incidentId}, Type=${alert.msgType}, Status=${alert.status}`);
+          this.log(`Alert: ID=${incidentIds.join(' ')}, Type=${alert.msgType}, Status=${alert.status}`);
           this.log('Current incidents:', JSON.stringify(Object.keys(this.incidents)));
 
           // Filter based on status:
@@ -111,83 +184,68 @@ class MyDevice extends Device {
             continue;
           }
 
-          if (alert.msgType === 'Alert' && !this.incidents[incidentId]) {
-            this.log(`Incident ${incidentId} triggered`);
-            this.log(alert.info);
-
-            // Store the full alert data for richer information
-            this.incidents[incidentId] = alert;
-            await this.setStoreValue('incidents', this.incidents);
-
-            // Get the best language info based on Homey's locale
-            const alertInfo = this.getBestLanguageInfo(alert.info);
-
-            if (alertInfo) {
-              // Create a rich message with severity and area information
-              const message = this.formatAlertMessage(alertInfo, alert.status);
-
-              try {
-                await this.setCapabilityValue('message', message);
-              } catch (err) {
-                this.error(`Failed to set message capability: ${err.message}`);
-              }
-
-              // Trigger with more detailed tokens for flows
-              const tokens = {
-                message,
-                description: alertInfo.description,
-                severity: alertInfo.severity,
-                urgency: alertInfo.urgency,
-                event: alertInfo.event,
-                area: alertInfo.areaDesc || alertInfo.area?.[0]?.areaDesc || '',
-                status: alert.status,
-                exercise: alert.status === 'Exercise',
-                test: alert.status === 'Test',
-                incident_id: incidentId,
-              };
-
-              this.driver.triggerVMA(this, tokens, {});
-            } else {
-              this.error('No suitable language info found in alert');
-            }
-          } else if (alert.msgType === 'Cancel' && this.incidents[incidentId]) {
-            this.log(`Incident ${incidentId} cancelled`);
-
-            // Get the stored incident data before deleting
-            const cancelledIncident = this.incidents[incidentId];
-            const alertInfo = this.getBestLanguageInfo(cancelledIncident.info);
-
-            // Trigger cancellation flow
-            if (alertInfo) {
-              const cancelTokens = {
-                message: this.formatAlertMessage(alertInfo, cancelledIncident.status),
-                area: alertInfo.areaDesc || alertInfo.area?.[0]?.areaDesc || '',
-                incident_id: incidentId,
-              };
-              this.driver.triggerVMACancel(this, cancelTokens, {});
+          // Alerts past their expiry time are no longer in effect, known incidents
+          // are ended by their expiry timer
+          if (alert.msgType !== 'Cancel' && this.hasAlertExpired(alert)) {
+            this.log(`Alert ${alert.identifier} has expired, ignoring`);
+            continue;
+          }
+
+          // Alerts excluded by the device filters never start or update incidents,
+          // cancellations always pass so that tracked incidents can end
+          const filterReason = alert.msgType === 'Cancel' ? null : this.getFilterReason(alert);
+          if (filterReason) {
+            this.log(`Alert ${alert.identifier} filtered out by ${filterReason} filter`);
+            filteredIdentifiers.add(alert.identifier);
+
+            // An update that is filtered out ends the incidents of the alert it replaces
+            const replacedIds = alert.msgType === 'Update'
+              ? this.getOutdatedIncidentIds(this.findMatchingIncidentIds(alert), alert)
+              : [];
+            if (replacedIds.length > 0) {
+              await this.endIncidents(replacedIds, 'filtered');
+            } else if (!this._filteredAlerts.has(alert.identifier)) {
+              this.recordHistory(HISTORY_TYPES.filtered, incidentIds, alert, { filterReason });
             }
+            continue;
+          }
+
+          // Incidents cleared by hand are not started again by the alert that is still listed
+          if (alert.msgType !== 'Cancel' && incidentIds.every((incidentId) => this.isIncidentCleared(incidentId))) {
+            this.log(`Incident ${incidentIds.join(' ')} was cleared, ignoring alert ${alert.identifier}`);
+            continue;
+          }
 
-            // Remove the incident from storage
-            delete this.incidents[incidentId];
-            await this.setStoreValue('incidents', this.incidents);
+          if (alert.msgType === 'Alert') {
+            const newIncidentIds = incidentIds.filter((incidentId) => {
+              return !this.incidents[incidentId] && !this.isIncidentCleared(incidentId);
+            });
+            if (newIncidentIds.length > 0) {
+              await this.handleNewIncident(newIncidentIds, alert);
+            }
+          } else if (alert.msgType === 'Update') {
+            await this.handleUpdatedIncident(alert);
+          } else if (alert.msgType === 'Cancel') {
+            await this.endIncidents(this.findMatchingIncidentIds(alert), 'cancelled', alert);
           }
         }
       }
 
-      try {
-        await this.setCapabilityValue('alarm_generic', Object.keys(this.incidents).length > 0);
-      } catch (err) {
-        this.error(`Failed to set alarm_generic capability: ${err.message}`);
+      // Filtered alerts are recorded once, until they drop out of a complete alert list
+      if (options.authoritative) {
+        this._filteredAlerts = filteredIdentifiers;
+      } else {
+        filteredIdentifiers.forEach((identifier) => this._filteredAlerts.add(identifier));
       }
 
-      if (Object.keys(this.incidents).length === 0) {
-        try {
-          await this.setCapabilityValue('message', null);
-        } catch (err) {
-          this.error(`Failed to clear message capability: ${err.message}`);
-        }
+      // Incidents no longer in the complete alert list have ended, even if we missed the Cancel
+      if (options.authoritative) {
+        await this.reconcileMissingIncidents(alerts);
+        await this.forgetClearedIncidents(alerts);
       }
 
+      await this.updateAlarmState();
+
       this.log('=== processAlerts completed successfully ===');
 
     } catch (error) {
@@ -198,155 +256,1689 @@ class MyDevice extends Device {
   }
 
   /**
-   * Get the best language info object based on Homey's locale
-   * @param {Array} infoArray - Array of info objects with different languages
-   * @returns {Object|null} The best matching info object
+   * Store new incidents and trigger the new VMA flow
+   * @param {string[]} incidentIds - IDs of the incidents started by the alert
+   * @param {Object} alert - The alert that started the incidents
+   * @returns {Promise<void>}
    */
-  getBestLanguageInfo(infoArray) {
-    if (!infoArray || !Array.isArray(infoArray) || infoArray.length === 0) {
-      return null;
+  async handleNewIncident(incidentIds, alert) {
+    this.log(`Incident ${incidentIds.join(' ')} triggered`);
+    this.log(alert.info);
+
+    // Store the full alert data for richer information
+    incidentIds.forEach((incidentId) => {
+      this.incidents[incidentId] = alert;
+    });
+    await this.setStoreValue('incidents', this.incidents);
+    incidentIds.forEach((incidentId) => this.scheduleIncidentExpiry(incidentId));
+    this.recordHistory(alert.msgType, incidentIds, alert);
+
+    if (this.shouldDeferAlert(alert)) {
+      this.log(`Deferring incident ${incidentIds.join(' ')} until quiet hours end`);
+      await this.deferIncidents(incidentIds);
+      return;
     }
 
-    // Get Homey's language (defaults to 'en' if not available)
-    const homeyLanguage = this.homey.i18n?.getLanguage?.() || 'sv';
+    await this.deliverNewIncident(incidentIds, alert, false);
+  }
 
-    // Try to find exact language match
-    let info = infoArray.find((i) => i.language?.toLowerCase().startsWith(homeyLanguage.toLowerCase()));
+  /**
+   * Show a new incident and trigger the new VMA flow and outputs
+   * @param {string[]} incidentIds - IDs of the incidents started by the alert
+   * @param {Object} alert - The alert that started the incidents
+   * @param {boolean} deferred - Whether delivery was held back by quiet hours
+   * @returns {Promise<void>}
+   */
+  async deliverNewIncident(incidentIds, alert, deferred) {
+    // Get the best language info based on Homey's locale
+    const alertInfo = this.getBestLanguageInfo(alert.info);
 
-    // Fallback to Swedish if no match (since this is a Swedish emergency system)
-    if (!info) {
-      info = infoArray.find((i) => i.language?.toLowerCase().startsWith('sv'));
+    if (!alertInfo) {
+      this.error('No suitable language info found in alert');
+      return;
     }
 
-    // Final fallback to first available
-    if (!info) {
-      info = infoArray[0];
+    // Create a rich message with severity and area information
+    const message = this.formatAlertMessage(alertInfo, alert);
+
+    try {
+      await this.setCapabilityValue('message', message);
+    } catch (err) {
+      this.error(`Failed to set message capability: ${err.message}`);
     }
 
-    return info;
+    const tokens = Object.assign(this.buildAlertTokens(incidentIds, alert, alertInfo, message), { deferred });
+    this.driver.triggerVMA(this, tokens, { message });
+
+    await this.notify('new', alert, alertInfo, message);
+    this.playSiren('new', alert);
+    await this.announce('new', alert);
   }
 
   /**
-   * Format an alert message with severity and area information
-   * @param {Object} alertInfo - The alert info object
-   * @param {string} status - The alert status (Actual/Exercise/Test)
-   * @returns {string} Formatted message
+   * Replace known incidents with a revised alert and trigger the update flow
+   * @param {Object} alert - The Update alert
+   * @returns {Promise<void>}
+   */
+  async handleUpdatedIncident(alert) {
+    const matchingIds = this.findMatchingIncidentIds(alert);
+
+    // We never saw the original alert (e.g. we were offline), so treat the update as a new incident
+    if (matchingIds.length === 0) {
+      this.log(`Update for unknown incident ${alert.incidents}, treating as new incident`);
+      await this.handleNewIncident(this.getIncidentIds(alert).filter((incidentId) => !this.isIncidentCleared(incidentId)), alert);
+      return;
+    }
+
+    const outdatedIds = this.getOutdatedIncidentIds(matchingIds, alert);
+
+    if (outdatedIds.length === 0) {
+      return;
+    }
+
+    // An update may also add incident IDs to those already tracked
+    const addedIds = this.getIncidentIds(alert).filter((incidentId) => {
+      return !this.incidents[incidentId] && !this.isIncidentCleared(incidentId);
+    });
+    const updatedIds = outdatedIds.concat(addedIds);
+    const previous = this.incidents[outdatedIds[0]];
+
+    this.log(`Incident ${updatedIds.join(' ')} updated`);
+
+    updatedIds.forEach((incidentId) => {
+      this.incidents[incidentId] = alert;
+    });
+    await this.setStoreValue('incidents', this.incidents);
+    updatedIds.forEach((incidentId) => this.scheduleIncidentExpiry(incidentId));
+    this.recordHistory('Update', updatedIds, alert);
+
+    // New information needs to be acknowledged again
+    await this.setAcknowledged(updatedIds, false);
+
+    // A deferred incident is delivered with its latest alert when quiet hours end,
+    // unless the update no longer qualifies for deferral, e.g. because it raised the severity
+    if (updatedIds.some((incidentId) => this.isIncidentDeferred(incidentId))) {
+      await this.deferIncidents(updatedIds);
+
+      if (this.shouldDeferAlert(alert)) {
+        this.log(`Incident ${updatedIds.join(' ')} is deferred, delivering the update when quiet hours end`);
+        return;
+      }
+
+      const deferredIds = this._deferredIncidents.find((ids) => ids.includes(updatedIds[0]))
+        .filter((incidentId) => this.incidents[incidentId]);
+      this.log(`Incident ${deferredIds.join(' ')} no longer qualifies for deferral, delivering it now`);
+      await this.removeDeferredIncidents(deferredIds);
+      this.scheduleDeferredDelivery();
+      await this.deliverNewIncident(deferredIds, alert, true);
+      return;
+    }
+
+    const alertInfo = this.getBestLanguageInfo(alert.info);
+
+    if (!alertInfo) {
+      this.error('No suitable language info found in updated alert');
+      return;
+    }
+
+    const message = this.formatAlertMessage(alertInfo, alert);
+
+    try {
+      await this.setCapabilityValue('message', message);
+    } catch (err) {
+      this.error(`Failed to set message capability: ${err.message}`);
+    }
+
+    const previousInfo = this.getBestLanguageInfo(previous.info);
+    const tokens = Object.assign(this.buildAlertTokens(updatedIds, alert, alertInfo, message), {
+      changes: this.describeAlertChanges(previousInfo, alertInfo).join(', '),
+    });
+
+    this.driver.triggerVMAUpdate(this, tokens, {});
+
+    await this.notify('updated', alert, alertInfo, message);
+    await this.announce('updated', alert);
+  }
+
+  /**
+   * Get the incidents an Update alert replaces the stored alert of
+   * The same update is returned on every fetch until the incident ends,
+   * and stale updates older than the alert we already hold are ignored
+   * @param {string[]} incidentIds - IDs of the stored incidents the update applies to
+   * @param {Object} alert - The Update alert
+   * @returns {string[]} IDs of the incidents stored from an older alert
    */
-  formatAlertMessage(alertInfo, status) {
-    // Return plain description - users can use flow tokens for additional formatting
-    return alertInfo.description || alertInfo.event || 'VMA Alert';
+  getOutdatedIncidentIds(incidentIds, alert) {
+    return incidentIds.filter((incidentId) => {
+      const stored = this.incidents[incidentId];
+      if (stored.identifier && stored.identifier === alert.identifier) {
+        return false;
+      }
+
+      const storedSent = Date.parse(stored.sent);
+      const alertSent = Date.parse(alert.sent);
+      return Number.isNaN(storedSent) || Number.isNaN(alertSent) || alertSent >= storedSent;
+    });
   }
 
   /**
-   * Migrate incidents data from array to object structure
+   * Remove incidents and trigger the VMA ended flow once per alert they were stored from
+   * Callers are responsible for calling updateAlarmState afterwards
+   * @param {string[]} incidentIds - IDs of the incidents that ended
+   * @param {string} reason - Why the incidents ended ('cancelled', 'expired', 'removed', 'cleared' or 'filtered')
+   * @param {Object} [cancelAlert] - The Cancel alert that ended the incidents
+   * @returns {Promise<void>}
    */
-  async migrateIncidentsData() {
-    const storedIncidents = await this.getStoreValue('incidents');
+  async endIncidents(incidentIds, reason, cancelAlert) {
+    // Group incidents stored from the same alert so each alert ends with a single trigger
+    const groups = new Map();
+    incidentIds.forEach((incidentId) => {
+      const endedIncident = this.incidents[incidentId];
+      if (!endedIncident) {
+        return;
+      }
 
-    if (storedIncidents === null || storedIncidents === undefined) {
-      // No stored data, initialize as empty object
-      this.incidents = {};
-    } else if (Array.isArray(storedIncidents)) {
-      // Old array format, migrate to object
-      this.log('Migrating incidents from array to object format');
-      this.incidents = {};
+      const key = endedIncident.identifier || incidentId;
+      if (!groups.has(key)) {
+        groups.set(key, { alert: endedIncident, ids: [] });
+      }
+      groups.get(key).ids.push(incidentId);
+    });
 
-      // If there were items in the array, try to preserve them
-      // (though the old code was using it incorrectly as an object anyway)
-      if (storedIncidents.length > 0) {
-        this.log('Warning: Found array-stored incidents, attempting migration');
+    if (groups.size === 0) {
+      return;
+    }
+
+    for (const { alert: endedIncident, ids } of groups.values()) {
+      this.log(`Incident ${ids.join(' ')} ended (${reason})`);
+      this.recordHistory(HISTORY_TYPES[reason], ids, cancelAlert || endedIncident);
+
+      // Incidents that were never delivered end silently
+      const deferred = ids.every((incidentId) => this.isIncidentDeferred(incidentId));
+      const allClear = !deferred && !MANUAL_END_REASONS.includes(reason);
+      await this.removeDeferredIncidents(ids);
+
+      // Get the stored incident data before deleting
+      const alertInfo = this.getBestLanguageInfo(endedIncident.info);
+
+      // Trigger cancellation flow
+      if (alertInfo) {
+        const cancelTokens = {
+          message: this.formatAlertMessage(alertInfo, endedIncident),
+          area: alertInfo.areaDesc || alertInfo.area?.[0]?.areaDesc || '',
+          incident_id: ids.join(' '),
+          reason,
+          matched_areas: this.getMatchedAreaNames(endedIncident).join(', '),
+        };
+        if (!deferred) {
+          this.driver.triggerVMACancel(this, cancelTokens, {});
+        }
+        if (allClear) {
+          await this.notify('ended', endedIncident, alertInfo, cancelTokens.message);
+        }
       }
 
-      // Save the migrated structure
-      await this.setStoreValue('incidents', this.incidents);
-    } else if (typeof storedIncidents === 'object') {
-      // Already in correct format
-      this.incidents = storedIncidents;
-    } else {
-      // Unknown format, reset to empty object
-      this.log('Unknown incidents format, resetting to empty object');
-      this.incidents = {};
-      await this.setStoreValue('incidents', this.incidents);
+      if (allClear) {
+        this.playSiren('ended', endedIncident);
+      }
+
+      // Remove the incidents from storage
+      ids.forEach((incidentId) => {
+        this.clearExpiryTimer(incidentId);
+        delete this._missingFetches[incidentId];
+        delete this.incidents[incidentId];
+      });
     }
+
+    await this.setStoreValue('incidents', this.incidents);
+    await this.setAcknowledged(incidentIds, false);
   }
 
   /**
-   * onAdded is called when the user adds the device, called just after pairing.
+   * Mark incidents as acknowledged or not
+   * @param {string[]} incidentIds - Incident IDs to change
+   * @param {boolean} acknowledged - New acknowledged state
+   * @returns {Promise<void>}
    */
-  async onAdded() {
-    this.log('=== VMA onAdded called ===');
-    this.log('Device name:', this.getName());
-    this.log('Device data:', this.getData());
-    this.log('VMA device has been added successfully');
+  async setAcknowledged(incidentIds, acknowledged) {
+    const remaining = this.acknowledgedIncidents.filter((incidentId) => !incidentIds.includes(incidentId));
+    const next = acknowledged ? remaining.concat(incidentIds) : remaining;
 
-    // Reconfigure SSE connections since a new device may change endpoint needs
-    this.log('Reconfiguring SSE connections after device added...');
-    this.homey.app.setupSSEConnections();
+    if (next.length === this.acknowledgedIncidents.length
+      && next.every((incidentId) => this.acknowledgedIncidents.includes(incidentId))) {
+      return;
+    }
 
-    // Trigger immediate fetch to get alerts for this new device
-    this.log('Triggering immediate fetch for new device...');
-    await this.homey.app.fetchAndDistributeAlerts().catch((err) => {
-      this.error('Failed to fetch alerts for new device:', err);
+    this.acknowledgedIncidents = next;
+    await this.setStoreValue('acknowledged_incidents', this.acknowledgedIncidents);
+  }
+
+  /**
+   * Check whether an incident has been acknowledged
+   * Acknowledged incidents keep alarm_generic on but are not repeated
+   * @param {string} incidentId - Incident ID
+   * @returns {boolean} True if acknowledged
+   */
+  isIncidentAcknowledged(incidentId) {
+    return this.acknowledgedIncidents.includes(incidentId);
+  }
+
+  /**
+   * Acknowledge all active incidents
+   * @returns {Promise<void>}
+   */
+  async acknowledgeIncidents() {
+    const incidentIds = Object.keys(this.incidents);
+    if (incidentIds.length === 0) {
+      throw new Error(this.homey.__('errors.no_active_vma'));
+    }
+
+    this.log(`Acknowledging incidents ${incidentIds.join(' ')}`);
+    await this.setAcknowledged(incidentIds, true);
+  }
+
+  /**
+   * Manually end an active incident, or all of them
+   * @param {string} [incidentId] - Incident ID to clear, empty to clear all incidents
+   * @returns {Promise<void>}
+   */
+  async clearIncidents(incidentId) {
+    const requestedId = String(incidentId || '').trim();
+    const incidentIds = requestedId ? [requestedId] : Object.keys(this.incidents);
+
+    if (requestedId && !this.incidents[requestedId]) {
+      throw new Error(this.homey.__('errors.incident_not_found', { id: requestedId }));
+    }
+
+    this.log(`Manually clearing incidents ${incidentIds.join(' ')}`);
+    await this.endIncidents(incidentIds, 'cleared');
+    await this.setClearedIncidents([...new Set(this.clearedIncidents.concat(incidentIds))]);
+    await this.updateAlarmState();
+  }
+
+  /**
+   * Check whether an incident has been cleared by hand
+   * Cleared incidents are not started or updated again while their alert is listed
+   * @param {string} incidentId - Incident ID
+   * @returns {boolean} True if cleared
+   */
+  isIncidentCleared(incidentId) {
+    return this.clearedIncidents.includes(incidentId);
+  }
+
+  /**
+   * Change the incidents cleared by hand
+   * @param {string[]} incidentIds - IDs of the cleared incidents
+   * @returns {Promise<void>}
+   */
+  async setClearedIncidents(incidentIds) {
+    if (incidentIds.length === this.clearedIncidents.length
+      && incidentIds.every((incidentId) => this.clearedIncidents.includes(incidentId))) {
+      return;
+    }
+
+    this.clearedIncidents = incidentIds;
+    await this.setStoreValue('cleared_incidents', this.clearedIncidents);
+  }
+
+  /**
+   * Forget cleared incidents that are no longer in the complete alert list,
+   * so a later alert with the same incident ID starts a new incident
+   * @param {Array} alerts - The complete list of current alerts for this device's area
+   * @returns {Promise<void>}
+   */
+  async forgetClearedIncidents(alerts) {
+    const listedIncidents = new Set(alerts.flatMap((alert) => this.getIncidentIds(alert)));
+    await this.setClearedIncidents(this.clearedIncidents.filter((incidentId) => listedIncidents.has(incidentId)));
+  }
+
+  /**
+   * Get the most recently sent active alert
+   * @returns {Object} The alert
+   * @throws {Error} If there is no active alert
+   */
+  getLatestActiveAlert() {
+    const alerts = this.getActiveAlerts();
+    if (alerts.length === 0) {
+      throw new Error(this.homey.__('errors.no_active_vma'));
+    }
+
+    return alerts.reduce((newest, alert) => {
+      return (Date.parse(alert.sent) || 0) > (Date.parse(newest.sent) || 0) ? alert : newest;
     });
   }
 
   /**
-   * onSettings is called when the user updates the device's settings.
-   * @param {object} event the onSettings event data
-   * @param {object} event.oldSettings The old settings object
-   * @param {object} event.newSettings The new settings object
-   * @param {string[]} event.changedKeys An array of keys changed since the previous version
-   * @returns {Promise<string|void>} return a custom message that will be displayed
+   * Trigger the new VMA flow again for the most recently sent active alert
+   * @returns {Promise<void>}
    */
-  async onSettings({ oldSettings, newSettings, changedKeys }) {
-    this.log('=== VMA device settings were changed ===');
-    this.log('Old settings:', JSON.stringify(oldSettings));
-    this.log('New settings:', JSON.stringify(newSettings));
-    this.log('Changed keys:', changedKeys);
+  async reannounceLatestIncident() {
+    const latest = this.getLatestActiveAlert();
 
-    // If test_mode was changed, trigger app to reconnect SSE connections
-    if (changedKeys.includes('test_mode')) {
-      this.log(`Test mode changed from ${oldSettings.test_mode} to ${newSettings.test_mode}`);
-      this.log('Device will now use:', newSettings.test_mode ? 'TEST API' : 'PRODUCTION API');
+    const alertInfo = this.getBestLanguageInfo(latest.info);
+    if (!alertInfo) {
+      this.error('No suitable language info found in alert');
+      return;
+    }
 
-      // Clear current incidents when switching modes
-      this.log('Clearing incidents due to test_mode change...');
-      this.incidents = {};
-      await this.setStoreValue('incidents', this.incidents);
+    const incidentIds = this.getDeliveredIncidentIds().filter((incidentId) => {
+      return this.incidents[incidentId].identifier === latest.identifier;
+    });
+    const message = this.formatAlertMessage(alertInfo, latest);
 
-      // Update capability values to reflect cleared state
-      try {
-        await this.setCapabilityValue('alarm_generic', false);
-        await this.setCapabilityValue('message', null);
-        this.log('Capabilities cleared successfully');
-      } catch (err) {
-        this.error('Failed to clear capabilities:', err);
-      }
+    this.log(`Re-announcing incident ${incidentIds.join(' ')}`);
+    const tokens = Object.assign(this.buildAlertTokens(incidentIds, latest, alertInfo, message), { deferred: false });
+    this.driver.triggerVMA(this, tokens, { message });
+  }
 
-      // Reconfigure SSE connections based on new device settings
-      this.log('Reconfiguring SSE connections after test_mode change...');
-      this.homey.app.setupSSEConnections();
+  /**
+   * Parse a time of day
+   * @param {string} text - Time as HH:MM
+   * @returns {number|null} Minutes after midnight, or null if the time is invalid
+   */
+  parseTimeOfDay(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+      return null;
+    }
 
-      // Force an immediate fetch to test the new setting
-      this.log('Forcing immediate fetch after test_mode change...');
-      await this.homey.app.fetchAndDistributeAlerts();
+    return Number(match[1]) * 60 + Number(match[2]);
+  }
+
+  /**
+   * Get how many minutes remain of the current quiet hours
+   * @param {Date} [date] - The time to check, defaults to now
+   * @param {Object} [settings] - The device settings, defaults to the current settings
+   * @returns {number} Minutes until quiet hours end, 0 when it is not quiet time
+   */
+  getQuietMinutesLeft(date = new Date(), settings = this.getSettings()) {
+    const start = this.parseTimeOfDay(settings.quiet_hours_start);
+    const end = this.parseTimeOfDay(settings.quiet_hours_end);
+
+    if (!settings.quiet_hours_enabled || start === null || end === null || start === end) {
+      return 0;
     }
+
+    // Quiet hours follow the wall clock in Homey's time zone
+    const [hours, minutes] = date.toLocaleTimeString('en-GB', {
+      timeZone: this.homey.clock.getTimezone(),
+      hour12: false,
+    }).split(':').map(Number);
+    const now = (hours % 24) * 60 + minutes;
+
+    const isQuiet = start < end ? now >= start && now < end : now >= start || now < end;
+    return isQuiet ? (end - now + 24 * 60) % (24 * 60) : 0;
   }
 
   /**
-   * onRenamed is called when the user updates the device's name.
-   * This method can be used this to synchronise the name to the device.
-   * @param {string} name The new name
+   * Check whether delivery of a new alert should wait until quiet hours end
+   * @param {Object} alert - The alert object
+   * @returns {boolean} True during quiet hours for exercises and alerts below the configured severity
    */
-  async onRenamed(name) {
-    this.log('VMA device was renamed');
+  shouldDeferAlert(alert) {
+    if (this.getQuietMinutesLeft() === 0) {
+      return false;
+    }
+
+    const minimum = this.getSettings().quiet_hours_min_severity || 'Extreme';
+    return alert.status === 'Exercise' || !this.alertMeetsSeverity(alert, minimum);
   }
 
   /**
-   * onDeleted is called when the user deleted the device.
+   * Check whether an incident is waiting for quiet hours to end
+   * @param {string} incidentId - The incident ID
+   * @returns {boolean} True if the incident is deferred
    */
-  async onDeleted() {
-    this.log('VMA has been deleted');
+  isIncidentDeferred(incidentId) {
+    return this._deferredIncidents.some((ids) => ids.includes(incidentId));
+  }
+
+  /**
+   * Queue incidents for delivery when quiet hours end
+   * Incidents already queued together with any of them are merged into one delivery
+   * @param {string[]} incidentIds - IDs of the incidents to defer
+   * @returns {Promise<void>}
+   */
+  async deferIncidents(incidentIds) {
+    const related = this._deferredIncidents.filter((ids) => ids.some((incidentId) => incidentIds.includes(incidentId)));
+    const merged = [...new Set(related.flat().concat(incidentIds))];
+
+    this._deferredIncidents = this._deferredIncidents.filter((ids) => !related.includes(ids)).concat([merged]);
+    await this.setStoreValue('deferred_incidents', this._deferredIncidents);
+    this.scheduleDeferredDelivery();
+  }
+
+  /**
+   * Remove incidents from the quiet hours queue
+   * @param {string[]} incidentIds - IDs of the incidents to remove
+   * @returns {Promise<void>}
+   */
+  async removeDeferredIncidents(incidentIds) {
+    if (!incidentIds.some((incidentId) => this.isIncidentDeferred(incidentId))) {
+      return;
+    }
+
+    this._deferredIncidents = this._deferredIncidents
+      .map((ids) => ids.filter((incidentId) => !incidentIds.includes(incidentId)))
+      .filter((ids) => ids.length > 0);
+    await this.setStoreValue('deferred_incidents', this._deferredIncidents);
+  }
+
+  /**
+   * Deliver deferred incidents when quiet hours end, or right away if they already have
+   * @param {Object} [settings] - The device settings, defaults to the current settings
+   */
+  scheduleDeferredDelivery(settings = this.getSettings()) {
+    this.clearQuietHoursTimer();
+
+    if (this._deferredIncidents.length === 0) {
+      return;
+    }
+
+    const delay = this.getQuietMinutesLeft(new Date(), settings) * 60 * 1000;
+    this.log(`Delivering ${this._deferredIncidents.length} deferred alert(s) in ${delay}ms`);
+
+    this._quietHoursTimer = setTimeout(() => {
+      this._quietHoursTimer = null;
+      this.deliverDeferredIncidents().catch((err) => {
+        this.error('Failed to deliver deferred alerts:', err);
+      });
+    }, delay);
+  }
+
+  /**
+   * Stop waiting for quiet hours to end
+   */
+  clearQuietHoursTimer() {
+    if (this._quietHoursTimer) {
+      clearTimeout(this._quietHoursTimer);
+      this._quietHoursTimer = null;
+    }
+  }
+
+  /**
+   * Deliver the incidents that were deferred by quiet hours and are still active
+   * @returns {Promise<void>}
+   */
+  async deliverDeferredIncidents() {
+    // The timer may fire a little early, e.g. around a daylight saving time change
+    if (this.getQuietMinutesLeft() > 0) {
+      this.scheduleDeferredDelivery();
+      return;
+    }
+
+    const queue = this._deferredIncidents;
+    this._deferredIncidents = [];
+    await this.setStoreValue('deferred_incidents', this._deferredIncidents);
+
+    for (const ids of queue) {
+      const activeIds = ids.filter((incidentId) => this.incidents[incidentId]);
+      if (activeIds.length > 0) {
+        this.log(`Delivering deferred incident ${activeIds.join(' ')}`);
+        await this.deliverNewIncident(activeIds, this.incidents[activeIds[0]], true);
+      }
+    }
+
+    await this.updateAlarmState();
+  }
+
+  /**
+   * Check whether the device is turned on
+   * Devices that are turned off stay silent, also when their incidents expire or deferred alerts are delivered
+   * @returns {boolean} False while the device is turned off
+   */
+  isTurnedOn() {
+    return this.onoff !== false;
+  }
+
+  /**
+   * Send a Homey notification for an alert event if enabled in the device settings
+   * @param {string} kind - 'new', 'updated' or 'ended'
+   * @param {Object} alert - The alert the event applies to
+   * @param {Object} alertInfo - The selected language info object of the alert
+   * @param {string} message - The formatted message
+   * @returns {Promise<void>}
+   */
+  async notify(kind, alert, alertInfo, message) {
+    const settings = this.getSettings();
+
+    if (settings.notify_enabled !== true || !this.isTurnedOn()) {
+      return;
+    }
+    if ((kind === 'updated' && settings.notify_updates === false) || (kind === 'ended' && settings.notify_ended === false)) {
+      return;
+    }
+
+    // Actual alerts notify unless turned off, exercises and tests only when turned on
+    const statusEnabled = {
+      Actual: settings.notify_actual !== false,
+      Exercise: settings.notify_exercise === true,
+      Test: settings.notify_test === true,
+    }[alert.status];
+    if (!statusEnabled) {
+      return;
+    }
+
+    if (!this.alertMeetsSeverity(alert, settings.notify_min_severity || 'Unknown')) {
+      return;
+    }
+
+    const excerpt = this.translate(`notifications.${kind}`, {
+      title: this.translate(`notifications.title_${alert.status}`),
+      message,
+      area: alertInfo.areaDesc || alertInfo.area?.[0]?.areaDesc || this.getName(),
+    });
+
+    await this.homey.app.sendNotification(`${kind}:${alert.identifier}`, excerpt);
+  }
+
+  /**
+   * Play the warning or all-clear signal for an alert event if enabled in the device settings
+   * Playback is not waited for, the signals play for up to a minute
+   * @param {string} kind - 'new' or 'ended'
+   * @param {Object} alert - The alert the event applies to
+   */
+  playSiren(kind, alert) {
+    const settings = this.getSettings();
+
+    if (settings.siren_auto !== true || !this.isTurnedOn()) {
+      return;
+    }
+    if (kind === 'ended' && settings.siren_all_clear === false) {
+      return;
+    }
+
+    // Exercises and tests are excluded unless turned on
+    const statusEnabled = {
+      Actual: true,
+      Exercise: settings.siren_exercise === true,
+      Test: settings.siren_test === true,
+    }[alert.status];
+    if (!statusEnabled) {
+      return;
+    }
+
+    const signal = kind === 'new' ? 'warning' : 'all_clear';
+    this.homey.app.playAlertSignal(`${kind}:${alert.identifier}`, signal, settings.siren_volume)
+      .catch((err) => this.error('Failed to play signal:', err));
+  }
+
+  /**
+   * Read the most recently sent active alert aloud
+   * @returns {Promise<void>}
+   */
+  async speakLatestIncident() {
+    const latest = this.getLatestActiveAlert();
+    await this.homey.app.speak(this.formatSpeechText(latest));
+  }
+
+  /**
+   * Build the text read aloud for an alert
+   * @param {Object} alert - The alert object
+   * @returns {string} Text to read
+   */
+  formatSpeechText(alert) {
+    const alertInfo = this.getBestLanguageInfo(alert.info) || {};
+    const prefix = { Exercise: 'speech.exercise_prefix', Test: 'speech.test_prefix' }[alert.status];
+
+    const text = this.translate('speech.announcement', {
+      event: alertInfo.event || 'VMA',
+      area: alertInfo.areaDesc || alertInfo.area?.[0]?.areaDesc || this.getName(),
+      description: alertInfo.description || '',
+      instruction: alertInfo.instruction || '',
+    });
+
+    return (prefix ? this.translate(prefix) : '') + text.trim();
+  }
+
+  /**
+   * Check whether an alert should be read aloud automatically
+   * @param {Object} alert - The alert object
+   * @returns {boolean} True if enabled in the device settings
+   */
+  shouldAnnounce(alert) {
+    const settings = this.getSettings();
+    return settings.speech_auto === true
+      && (alert.status === 'Actual' || (alert.status === 'Exercise' && settings.speech_exercise === true));
+  }
+
+  /**
+   * Read a new or updated alert aloud if enabled, and start repeating active alerts
+   * @param {string} kind - 'new' or 'updated'
+   * @param {Object} alert - The alert object
+   * @returns {Promise<void>}
+   */
+  async announce(kind, alert) {
+    if (!this.isTurnedOn() || !this.shouldAnnounce(alert)) {
+      return;
+    }
+
+    await this.homey.app.speakAlertEvent(`${kind}:${alert.identifier}`, this.formatSpeechText(alert));
+    this.startSpeechRepeat();
+  }
+
+  /**
+   * Start repeating announcements of active, unacknowledged alerts
+   * @param {number} [repeatInterval] - Minutes between announcements, defaults to the speech_repeat_interval setting
+   */
+  startSpeechRepeat(repeatInterval = this.getSettings().speech_repeat_interval) {
+    const minutes = Number(repeatInterval) || 0;
+    if (minutes <= 0 || this._speechRepeatTimer || !this.isTurnedOn()) {
+      return;
+    }
+
+    const interval = minutes * 60 * 1000;
+    this.log(`Repeating announcements every ${minutes} minutes`);
+
+    this._speechRepeatTimer = setInterval(() => {
+      const alerts = this.getRepeatableAlerts();
+
+      if (alerts.length === 0 || !this.isTurnedOn()) {
+        this.stopSpeechRepeat();
+        return;
+      }
+
+      // Devices covering the same alert repeat it once per interval
+      const round = Math.floor(Date.now() / interval);
+      alerts.forEach((alert) => {
+        this.homey.app.speakAlertEvent(`repeat:${alert.identifier}:${round}`, this.formatSpeechText(alert))
+          .catch((err) => this.error('Failed to repeat announcement:', err));
+      });
+    }, interval);
+  }
+
+  /**
+   * Get the active alerts to repeat aloud
+   * @returns {Array} Alerts enabled for speech with an incident that is neither acknowledged nor deferred
+   */
+  getRepeatableAlerts() {
+    return this.getActiveAlerts().filter((alert) => {
+      const pending = Object.keys(this.incidents).some((incidentId) => {
+        return this.incidents[incidentId].identifier === alert.identifier
+          && !this.isIncidentAcknowledged(incidentId) && !this.isIncidentDeferred(incidentId);
+      });
+      return pending && this.shouldAnnounce(alert);
+    });
+  }
+
+  /**
+   * Stop repeating announcements
+   */
+  stopSpeechRepeat() {
+    if (this._speechRepeatTimer) {
+      clearInterval(this._speechRepeatTimer);
+      this._speechRepeatTimer = null;
+    }
+  }
+
+  /**
+   * Record an alert event in the app's alert history
+   * Only a summary of the alert is recorded, the history is kept in the app settings
+   * @param {string} type - Event type (Alert, Update, Cancel, Expired, Removed or Cleared)
+   * @param {string[]} incidentIds - IDs of the incidents the event applies to
+   * @param {Object} alert - The alert payload
+   * @param {Object} [details] - Additional fields of the entry, e.g. the filter reason
+   */
+  recordHistory(type, incidentIds, alert, details = {}) {
+    const alertInfo = this.getBestLanguageInfo(alert.info);
+
+    this.homey.app.recordAlertHistory(this, Object.assign(details, {
+      type,
+      incidentIds,
+      identifier: alert.identifier,
+      msgType: alert.msgType,
+      status: alert.status,
+      sent: alert.sent,
+      onset: alertInfo?.onset || alertInfo?.effective || null,
+      expires: alertInfo?.expires || null,
+      event: alertInfo?.event || '',
+      area: alertInfo?.areaDesc || alertInfo?.area?.[0]?.areaDesc || '',
+      headline: alertInfo?.headline || '',
+      message: alertInfo ? this.formatAlertMessage(alertInfo, alert) : '',
+    }));
+  }
+
+  /**
+   * Get the individual incident IDs of an alert
+   * @param {Object} alert - The alert object
+   * @returns {string[]} Unique incident IDs in the order listed by the alert
+   */
+  getIncidentIds(alert) {
+    const ids = String(alert.incidents || '').split(/\s+/).filter((id) => id.length > 0);
+
+    // Alerts without incidents are tracked by their own identifier
+    if (ids.length === 0 && alert.identifier) {
+      ids.push(alert.identifier);
+    }
+
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Get the identifiers of the earlier alerts referenced by an alert
+   * CAP references are space-separated "sender,identifier,sent" triplets
+   * @param {Object} alert - The alert object
+   * @returns {string[]} Referenced alert identifiers
+   */
+  getReferencedIdentifiers(alert) {
+    return String(alert.references || '')
+      .split(/\s+/)
+      .map((reference) => reference.split(',')[1])
+      .filter((identifier) => identifier);
+  }
+
+  /**
+   * Find the stored incidents an Update or Cancel alert applies to, either through
+   * one of its incident IDs or through a CAP reference to the alert they were stored from
+   * @param {Object} alert - The Update or Cancel alert
+   * @returns {string[]} Matching stored incident IDs
+   */
+  findMatchingIncidentIds(alert) {
+    const incidentIds = this.getIncidentIds(alert);
+    const references = this.getReferencedIdentifiers(alert);
+
+    return Object.keys(this.incidents).filter((incidentId) => {
+      return incidentIds.includes(incidentId)
+        || references.includes(this.incidents[incidentId].identifier);
+    });
+  }
+
+  /**
+   * End stored incidents that have been missing from the complete alert list
+   * for missing_fetch_threshold consecutive fetches (0 disables reconciliation)
+   * @param {Array} alerts - The complete list of current alerts for this device's area
+   * @returns {Promise<void>}
+   */
+  async reconcileMissingIncidents(alerts) {
+    const threshold = Number(this.getSettings().missing_fetch_threshold ?? 2);
+    const listedIncidents = new Set();
+    const listedIdentifiers = new Set();
+    alerts.forEach((alert) => {
+      this.getIncidentIds(alert).forEach((incidentId) => listedIncidents.add(incidentId));
+      listedIdentifiers.add(alert.identifier);
+      this.getReferencedIdentifiers(alert).forEach((identifier) => listedIdentifiers.add(identifier));
+    });
+
+    const removedIds = [];
+    for (const incidentId of Object.keys(this.incidents)) {
+      const listed = listedIncidents.has(incidentId)
+        || listedIdentifiers.has(this.incidents[incidentId].identifier);
+
+      if (threshold <= 0 || listed) {
+        delete this._missingFetches[incidentId];
+        continue;
+      }
+
+      const missingFetches = (this._missingFetches[incidentId] || 0) + 1;
+      if (missingFetches >= threshold) {
+        this.log(`Incident ${incidentId} missing from ${missingFetches} consecutive fetches`);
+        removedIds.push(incidentId);
+      } else {
+        this.log(`Incident ${incidentId} missing from alert list (${missingFetches}/${threshold})`);
+        this._missingFetches[incidentId] = missingFetches;
+      }
+    }
+
+    await this.endIncidents(removedIds, 'removed');
+  }
+
+  /**
+   * Check whether any incident is missing from the alert list but not yet ended
+   * @returns {boolean} True if a confirming fetch is needed
+   */
+  hasPendingMissingIncidents() {
+    return Object.keys(this._missingFetches || {}).length > 0;
+  }
+
+  /**
+   * Get the alerts of all active incidents, once per alert
+   * Incidents deferred by quiet hours are not active until they are delivered
+   * @returns {Array} Active alert objects
+   */
+  getActiveAlerts() {
+    const alerts = new Map();
+    this.getDeliveredIncidentIds().forEach((incidentId) => {
+      const alert = this.incidents[incidentId];
+      alerts.set(alert.identifier || incidentId, alert);
+    });
+    return [...alerts.values()];
+  }
+
+  /**
+   * Get the incidents that are not deferred by quiet hours
+   * @returns {string[]} Incident IDs
+   */
+  getDeliveredIncidentIds() {
+    return Object.keys(this.incidents).filter((incidentId) => !this.isIncidentDeferred(incidentId));
+  }
+
+  /**
+   * Check whether any active incident matches a predicate
+   * @param {Function} [predicate] - Called with each active alert, defaults to matching any alert
+   * @returns {boolean} True if an active alert matches
+   */
+  hasActiveAlert(predicate = () => true) {
+    return this.getActiveAlerts().some((alert) => predicate(alert));
+  }
+
+  /**
+   * Check whether an alert is at least as severe as a CAP severity level
+   * @param {Object} alert - The alert object
+   * @param {string} severity - Minimum CAP severity
+   * @returns {boolean} True if any info block of the alert meets the severity
+   */
+  alertMeetsSeverity(alert, severity) {
+    const minimum = SEVERITY_LEVELS.indexOf(severity);
+    return (alert.info || []).some((info) => SEVERITY_LEVELS.indexOf(info.severity) >= minimum);
+  }
+
+  /**
+   * Check whether an alert is at least as urgent as a CAP urgency level
+   * @param {Object} alert - The alert object
+   * @param {string} urgency - Minimum CAP urgency
+   * @returns {boolean} True if any info block of the alert meets the urgency
+   */
+  alertMeetsUrgency(alert, urgency) {
+    const minimum = URGENCY_LEVELS.indexOf(urgency);
+    return (alert.info || []).some((info) => URGENCY_LEVELS.indexOf(info.urgency) >= minimum);
+  }
+
+  /**
+   * Check whether an alert is at least as certain as a CAP certainty level
+   * @param {Object} alert - The alert object
+   * @param {string} certainty - Minimum CAP certainty
+   * @returns {boolean} True if any info block of the alert meets the certainty
+   */
+  alertMeetsCertainty(alert, certainty) {
+    const minimum = CERTAINTY_LEVELS.indexOf(certainty);
+    return (alert.info || []).some((info) => CERTAINTY_LEVELS.indexOf(info.certainty) >= minimum);
+  }
+
+  /**
+   * Check an alert against the filters in the device settings
+   * @param {Object} alert - The alert object
+   * @param {Object} [settings] - The device settings, defaults to the current settings
+   * @returns {string|null} The filter excluding the alert, or null if it passes all filters
+   */
+  getFilterReason(alert, settings = this.getSettings()) {
+    const listEvents = (text) => String(text || '').split(',').map((event) => event.trim()).filter(Boolean);
+    const includeEvents = listEvents(settings.filter_include_events);
+    const excludeEvents = listEvents(settings.filter_exclude_events);
+
+    // "Unknown" means any level, including alerts that do not state one
+    const isSet = (level) => Boolean(level) && level !== 'Unknown';
+
+    if (alert.status === 'Exercise' && settings.filter_exercise === false) {
+      return 'exercise';
+    }
+    if (isSet(settings.filter_min_severity) && !this.alertMeetsSeverity(alert, settings.filter_min_severity)) {
+      return 'severity';
+    }
+    if (isSet(settings.filter_min_urgency) && !this.alertMeetsUrgency(alert, settings.filter_min_urgency)) {
+      return 'urgency';
+    }
+    if (isSet(settings.filter_min_certainty) && !this.alertMeetsCertainty(alert, settings.filter_min_certainty)) {
+      return 'certainty';
+    }
+    if (includeEvents.length > 0 && !includeEvents.some((event) => this.alertMatchesEvent(alert, event))) {
+      return 'event';
+    }
+    if (excludeEvents.some((event) => this.alertMatchesEvent(alert, event))) {
+      return 'event';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether an alert matches an event type or event code
+   * @param {Object} alert - The alert object
+   * @param {string} event - Text contained in the event type (any language) or an exact event code
+   * @returns {boolean} True if the alert matches
+   */
+  alertMatchesEvent(alert, event) {
+    const needle = String(event || '').trim().toLowerCase();
+    if (!needle) {
+      return false;
+    }
+
+    return (alert.info || []).some((info) => {
+      if (info.event && info.event.toLowerCase().includes(needle)) {
+        return true;
+      }
+
+      const eventCodes = Array.isArray(info.eventCode) ? info.eventCode : [];
+      return eventCodes.some((code) => String(code.value || '').toLowerCase() === needle);
+    });
+  }
+
+  /**
+   * Get an overview of the device and its active incidents
+   * @returns {Object} Device status
+   */
+  getStatus() {
+    return {
+      id: this.getData().id,
+      driver: this.driver.id,
+      name: this.getName(),
+      areaCode: this.getAreaCode(),
+      areaCodes: this.getAreaCodes(),
+      testMode: this.getSettings().test_mode === true,
+      sources: this.getSourceIds(),
+      enabled: this.getCapabilityValue('onoff') === true,
+      incidents: Object.keys(this.incidents).map((incidentId) => {
+        const alert = this.incidents[incidentId];
+        const alertInfo = this.getBestLanguageInfo(alert.info);
+        return {
+          id: incidentId,
+          identifier: alert.identifier,
+          status: alert.status,
+          sent: alert.sent,
+          event: alertInfo?.event || '',
+          area: alertInfo?.areaDesc || alertInfo?.area?.[0]?.areaDesc || '',
+          acknowledged: this.isIncidentAcknowledged(incidentId),
+        };
+      }),
+    };
+  }
+
+  /**
+   * Get the active incidents with their full alert payload
+   * @returns {Array} Incidents with id, acknowledged state and alert
+   */
+  getIncidentDetails() {
+    return Object.keys(this.incidents).map((incidentId) => ({
+      id: incidentId,
+      acknowledged: this.isIncidentAcknowledged(incidentId),
+      alert: this.incidents[incidentId],
+    }));
+  }
+
+  /**
+   * Reflect the stored incidents in the alarm_generic and message capabilities
+   * Incidents deferred by quiet hours do not raise the alarm until they are delivered
+   * @returns {Promise<void>}
+   */
+  async updateAlarmState() {
+    try {
+      await this.setCapabilityValue('alarm_generic', this.getDeliveredIncidentIds().length > 0);
+    } catch (err) {
+      this.error(`Failed to set alarm_generic capability: ${err.message}`);
+    }
+
+    if (Object.keys(this.incidents).length === 0) {
+      this.stopSpeechRepeat();
+
+      try {
+        await this.setCapabilityValue('message', null);
+      } catch (err) {
+        this.error(`Failed to clear message capability: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Get the time an alert stops being in effect
+   * An alert is in effect until its last info block expires; info blocks without
+   * an expiry time (or with an expiry before their onset/effective time) never expire.
+   * @param {Object} alert - The alert object
+   * @returns {number|null} Expiry timestamp in milliseconds, or null if the alert does not expire
+   */
+  getAlertExpiry(alert) {
+    if (!alert || !Array.isArray(alert.info) || alert.info.length === 0) {
+      return null;
+    }
+
+    let latestExpiry = null;
+    for (const info of alert.info) {
+      const expires = Date.parse(info.expires);
+      if (Number.isNaN(expires)) {
+        return null;
+      }
+
+      const starts = Math.max(Date.parse(info.onset) || 0, Date.parse(info.effective) || 0);
+      if (expires <= starts) {
+        this.log(`Ignoring expiry ${info.expires} before onset/effective time of alert ${alert.identifier}`);
+        return null;
+      }
+
+      latestExpiry = Math.max(latestExpiry || 0, expires);
+    }
+
+    return latestExpiry;
+  }
+
+  /**
+   * Check whether an alert is past its expiry time
+   * @param {Object} alert - The alert object
+   * @returns {boolean} True if the alert has expired
+   */
+  hasAlertExpired(alert) {
+    const expiry = this.getAlertExpiry(alert);
+    return expiry !== null && expiry <= Date.now();
+  }
+
+  /**
+   * Schedule automatic expiry of a stored incident
+   * @param {string} incidentId - Incident tracking key
+   */
+  scheduleIncidentExpiry(incidentId) {
+    this.clearExpiryTimer(incidentId);
+
+    const expiry = this.getAlertExpiry(this.incidents[incidentId]);
+    if (expiry === null) {
+      return;
+    }
+
+    const delay = Math.max(expiry - Date.now(), 0);
+    this.log(`Incident ${incidentId} expires at ${new Date(expiry).toISOString()}`);
+
+    this._expiryTimers[incidentId] = setTimeout(() => {
+      delete this._expiryTimers[incidentId];
+
+      // Timer was capped, re-arm until the real expiry time is reached
+      if (delay > MAX_EXPIRY_TIMER_DELAY) {
+        this.scheduleIncidentExpiry(incidentId);
+        return;
+      }
+
+      // End all incidents stored from the same alert together
+      const { identifier } = this.incidents[incidentId] || {};
+      const expiredIds = Object.keys(this.incidents).filter((id) => {
+        return id === incidentId || (identifier && this.incidents[id].identifier === identifier);
+      });
+
+      this.endIncidents(expiredIds, 'expired')
+        .then(() => this.updateAlarmState())
+        .catch((err) => {
+          this.error(`Failed to expire incident ${incidentId}:`, err);
+        });
+    }, Math.min(delay, MAX_EXPIRY_TIMER_DELAY));
+  }
+
+  /**
+   * Clear the expiry timer of an incident
+   * @param {string} incidentId - Incident tracking key
+   */
+  clearExpiryTimer(incidentId) {
+    if (this._expiryTimers[incidentId]) {
+      clearTimeout(this._expiryTimers[incidentId]);
+      delete this._expiryTimers[incidentId];
+    }
+  }
+
+  /**
+   * Clear all expiry timers
+   */
+  clearAllExpiryTimers() {
+    Object.keys(this._expiryTimers).forEach((incidentId) => this.clearExpiryTimer(incidentId));
+  }
+
+  /**
+   * End stored incidents that have expired and schedule expiry of the others
+   * @returns {Promise<void>}
+   */
+  async reconcileIncidentExpiry() {
+    const expiredIds = [];
+    for (const incidentId of Object.keys(this.incidents)) {
+      if (this.hasAlertExpired(this.incidents[incidentId])) {
+        expiredIds.push(incidentId);
+      } else {
+        this.scheduleIncidentExpiry(incidentId);
+      }
+    }
+
+    await this.endIncidents(expiredIds, 'expired');
+    await this.updateAlarmState();
+  }
+
+  /**
+   * Build the flow tokens describing an alert
+   * @param {string[]} incidentIds - IDs of the incidents the alert applies to
+   * @param {Object} alert - The alert object
+   * @param {Object} alertInfo - The selected language info object of the alert
+   * @param {string} message - The formatted message
+   * @returns {Object} Flow tokens
+   */
+  buildAlertTokens(incidentIds, alert, alertInfo, message) {
+    return {
+      message,
+      description: alertInfo.description,
+      severity: alertInfo.severity,
+      urgency: alertInfo.urgency,
+      event: alertInfo.event,
+      area: alertInfo.areaDesc || alertInfo.area?.[0]?.areaDesc || '',
+      status: alert.status,
+      exercise: alert.status === 'Exercise',
+      test: alert.status === 'Test',
+      incident_id: incidentIds.join(' '),
+      matched_areas: this.getMatchedAreaNames(alert).join(', '),
+    };
+  }
+
+  /**
+   * List which fields differ between two info objects of the same incident
+   * @param {Object|null} previousInfo - Info object of the previously stored alert
+   * @param {Object} alertInfo - Info object of the updated alert
+   * @returns {string[]} Names of the changed fields
+   */
+  describeAlertChanges(previousInfo, alertInfo) {
+    const fields = ['event', 'severity', 'urgency', 'certainty', 'headline', 'description', 'instruction'];
+
+    if (!previousInfo) {
+      return fields.filter((field) => alertInfo[field]);
+    }
+
+    const changes = fields.filter((field) => (previousInfo[field] || '') !== (alertInfo[field] || ''));
+
+    const previousArea = (previousInfo.area || []).map((area) => area.areaDesc).join(',');
+    const area = (alertInfo.area || []).map((area) => area.areaDesc).join(',');
+    if (previousArea !== area) {
+      changes.push('area');
+    }
+
+    return changes;
+  }
+
+  /**
+   * Get the language alerts are shown in
+   * @returns {string} The language chosen in the device settings, otherwise Homey's language
+   */
+  getLanguage() {
+    const { language } = this.getSettings();
+    if (language && language !== 'auto') {
+      return language;
+    }
+
+    // Defaults to Swedish if Homey's language is not available
+    return this.homey.i18n?.getLanguage?.() || 'sv';
+  }
+
+  /**
+   * Translate a string into the device language, like homey.__ does for Homey's language
+   * @param {string} key - Key of the string in the locales, e.g. 'speech.announcement'
+   * @param {Object} [tokens] - Values of the __name__ placeholders in the string
+   * @returns {string} The translated string
+   */
+  translate(key, tokens = {}) {
+    const text = key.split('.').reduce((strings, part) => strings?.[part], LOCALES[this.getLanguage()] || LOCALES.en);
+    return text.replace(/__(\w+)__/g, (placeholder, name) => (name in tokens ? tokens[name] : placeholder));
+  }
+
+  /**
+   * Get the best language info object based on the device language
+   * @param {Array} infoArray - Array of info objects with different languages
+   * @returns {Object|null} The best matching info object
+   */
+  getBestLanguageInfo(infoArray) {
+    if (!infoArray || !Array.isArray(infoArray) || infoArray.length === 0) {
+      return null;
+    }
+
+    const language = this.getLanguage();
+
+    // Try to find exact language match
+    let info = infoArray.find((i) => i.language?.toLowerCase().startsWith(language.toLowerCase()));
+
+    // Fallback to Swedish if no match (since this is a Swedish emergency system)
+    if (!info) {
+      info = infoArray.find((i) => i.language?.toLowerCase().startsWith('sv'));
+    }
+
+    // Final fallback to first available
+    if (!info) {
+      info = infoArray[0];
+    }
+
+    return info;
+  }
+
+  /**
+   * Format an alert message using the message template of the device settings,
+   * or the default template of the device language
+   * @param {Object} alertInfo - The alert info object
+   * @param {Object} alert - The alert the info object belongs to
+   * @returns {string} Formatted message
+   */
+  formatAlertMessage(alertInfo, alert) {
+    const strings = (LOCALES[this.getLanguage()] || LOCALES.en).message;
+    const template = this.getSettings().message_template || strings.template;
+
+    const values = {
+      prefix: strings[`prefix_${alert.status}`] || '',
+      event: alertInfo.event || '',
+      headline: alertInfo.headline || '',
+      description: alertInfo.description || alertInfo.event || '',
+      instruction: alertInfo.instruction || '',
+      area: alertInfo.areaDesc || alertInfo.area?.map((area) => area.areaDesc).filter(Boolean).join(', ') || '',
+      severity: alertInfo.severity || '',
+      urgency: alertInfo.urgency || '',
+      sender: alertInfo.senderName || alert.sender || '',
+    };
+
+    const message = template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      return Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder;
+    });
+
+    return message.trim() || strings.fallback;
+  }
+
+  /**
+   * Migrate incidents data from array to object structure
+   */
+  async migrateIncidentsData() {
+    const storedIncidents = await this.getStoreValue('incidents');
+
+    if (storedIncidents === null || storedIncidents === undefined) {
+      // No stored data, initialize as empty object
+      this.incidents = {};
+    } else if (Array.isArray(storedIncidents)) {
+      // Old array format, migrate to object
+      this.log('Migrating incidents from array to object format');
+      this.incidents = {};
+
+      // If there were items in the array, try to preserve them
+      // (though the old code was using it incorrectly as an object anyway)
+      if (storedIncidents.length > 0) {
+        this.log('Warning: Found array-stored incidents, attempting migration');
+      }
+
+      // Save the migrated structure
+      await this.setStoreValue('incidents', this.incidents);
+    } else if (typeof storedIncidents === 'object') {
+      // Already in correct format, but older versions keyed incidents by the
+      // full space-separated incidents string
+      this.incidents = {};
+      let splitKeys = false;
+      Object.keys(storedIncidents).forEach((key) => {
+        const ids = key.split(/\s+/).filter((id) => id.length > 0);
+        if (ids.length > 1) {
+          splitKeys = true;
+        }
+        ids.forEach((id) => {
+          this.incidents[id] = storedIncidents[key];
+        });
+      });
+
+      if (splitKeys) {
+        this.log('Migrating incidents keyed by multiple IDs to individual incidents');
+        await this.setStoreValue('incidents', this.incidents);
+      }
+    } else {
+      // Unknown format, reset to empty object
+      this.log('Unknown incidents format, resetting to empty object');
+      this.incidents = {};
+      await this.setStoreValue('incidents', this.incidents);
+    }
+  }
+
+  /**
+   * onAdded is called when the user adds the device, called just after pairing.
+   */
+  async onAdded() {
+    this.log('=== VMA onAdded called ===');
+    this.log('Device name:', this.getName());
+    this.log('Device data:', this.getData());
+    this.log('VMA device has been added successfully');
+
+    // Reconfigure SSE connections since a new device may change endpoint needs
+    this.log('Reconfiguring SSE connections after device added...');
+    this.homey.app.setupSSEConnections();
+
+    // Trigger immediate fetch to get alerts for this new device
+    this.log('Triggering immediate fetch for new device...');
+    await this.homey.app.fetchAndDistributeAlerts().catch((err) => {
+      this.error('Failed to fetch alerts for new device:', err);
+    });
+  }
+
+  /**
+   * onSettings is called when the user updates the device's settings.
+   * @param {object} event the onSettings event data
+   * @param {object} event.oldSettings The old settings object
+   * @param {object} event.newSettings The new settings object
+   * @param {string[]} event.changedKeys An array of keys changed since the previous version
+   * @returns {Promise<string|void>} return a custom message that will be displayed
+   */
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    this.log('=== VMA device settings were changed ===');
+    this.log('Old settings:', JSON.stringify(oldSettings));
+    this.log('New settings:', JSON.stringify(newSettings));
+    this.log('Changed keys:', changedKeys);
+
+    if (changedKeys.includes('area_codes')) {
+      const { codes, invalid } = parseAreaCodes(newSettings.area_codes);
+      if (invalid.length > 0) {
+        throw new Error(this.homey.__('errors.invalid_area_codes', { codes: invalid.join(', ') }));
+      }
+      if (codes.length === 0 && this.isMultiAreaDevice()) {
+        throw new Error(this.homey.__('errors.no_area_codes'));
+      }
+    }
+
+    if (changedKeys.includes('neighbour_codes')) {
+      const { codes, invalid } = parseAreaCodes(newSettings.neighbour_codes);
+      const notMunicipalities = invalid.concat(codes.filter((code) => !isMunicipality(code)));
+      if (notMunicipalities.length > 0) {
+        throw new Error(this.homey.__('errors.invalid_neighbour_codes', { codes: notMunicipalities.join(', ') }));
+      }
+    }
+
+    if (changedKeys.includes('sources')) {
+      // SMHI warnings and Krisinformation.se messages are not alerts
+      const known = this.homey.app.getSources()
+        .filter((source) => source.format !== 'smhi' && source.format !== 'krisinformation')
+        .map((source) => source.id);
+      const unknown = this.parseSourceIds(newSettings.sources).filter((sourceId) => !known.includes(sourceId));
+      if (unknown.length > 0) {
+        throw new Error(this.homey.__('errors.invalid_sources', { sources: unknown.join(', ') }));
+      }
+    }
+
+    ['quiet_hours_start', 'quiet_hours_end'].forEach((key) => {
+      if (changedKeys.includes(key) && this.parseTimeOfDay(newSettings[key]) === null) {
+        throw new Error(this.homey.__('errors.invalid_time_of_day'));
+      }
+    });
+
+    if (changedKeys.includes('location_point') && newSettings.location_point
+      && !parseCoordinate(newSettings.location_point)) {
+      throw new Error(this.homey.__('errors.invalid_location_point'));
+    }
+
+    if (changedKeys.includes('location_polygon') && newSettings.location_polygon
+      && !parseCapPolygon(newSettings.location_polygon)) {
+      throw new Error(this.homey.__('errors.invalid_location_polygon'));
+    }
+
+    // Restart repeated announcements with the new interval, also when they were turned off before
+    if (changedKeys.includes('speech_repeat_interval')) {
+      this.stopSpeechRepeat();
+      if (this.getRepeatableAlerts().length > 0) {
+        this.startSpeechRepeat(newSettings.speech_repeat_interval);
+      }
+    }
+
+    // If test_mode was changed, trigger app to reconnect SSE connections
+    if (changedKeys.includes('test_mode')) {
+      this.log(`Test mode changed from ${oldSettings.test_mode} to ${newSettings.test_mode}`);
+      this.log('Device will now use:', newSettings.test_mode ? 'TEST API' : 'PRODUCTION API');
+
+      // Clear current incidents when switching modes
+      this.log('Clearing incidents due to test_mode change...');
+      await this.resetIncidents();
+
+      // Reconfigure SSE connections based on new device settings
+      this.log('Reconfiguring SSE connections after test_mode change...');
+      this.homey.app.setupSSEConnections();
+
+      // Force an immediate fetch to test the new setting
+      this.log('Forcing immediate fetch after test_mode change...');
+      await this.homey.app.fetchAndDistributeAlerts();
+    }
+
+    // Connect to the new sources and fetch their alerts once the settings are saved
+    if (changedKeys.includes('sources')) {
+      this.log(`Sources changed from "${oldSettings.sources}" to "${newSettings.sources}"`);
+      this.homey.app.scheduleSourceUpdate();
+    }
+
+    // Forget incidents of the previous areas and fetch alerts for the new ones
+    if (changedKeys.includes('area_codes') || changedKeys.includes('neighbour_codes')) {
+      this.log('Watched areas changed');
+      await this.updateAvailability(newSettings);
+      await this.resetIncidents();
+      this.homey.app.fetchAndDistributeAlerts().catch((err) => {
+        this.error('Failed to fetch alerts after area change:', err);
+      });
+    }
+
+    // Re-evaluate current alerts against the new filters, which are only applied once onSettings has returned
+    if (changedKeys.some((key) => key.startsWith('filter_'))) {
+      this._filteredAlerts = new Set();
+      await this.endFilteredIncidents(newSettings);
+      this.homey.app.fetchAndDistributeAlerts().catch((err) => {
+        this.error('Failed to fetch alerts after filter change:', err);
+      });
+    }
+
+    // Deliver or reschedule deferred alerts for the new quiet hours,
+    // which are only applied once onSettings has returned
+    if (changedKeys.some((key) => key.startsWith('quiet_hours_'))) {
+      this.scheduleDeferredDelivery(newSettings);
+    }
+  }
+
+  /**
+   * End the incidents whose alert no longer passes the filters
+   * @param {Object} settings - The device settings with the filters
+   * @returns {Promise<void>}
+   */
+  async endFilteredIncidents(settings) {
+    const filteredIds = Object.keys(this.incidents).filter((incidentId) => {
+      return this.getFilterReason(this.incidents[incidentId], settings) !== null;
+    });
+
+    if (filteredIds.length > 0) {
+      this.log(`Incidents ${filteredIds.join(' ')} no longer pass the filters`);
+      await this.endIncidents(filteredIds, 'filtered');
+      await this.updateAlarmState();
+    }
+  }
+
+  /**
+   * Forget all incidents, e.g. when the device starts watching other alerts
+   */
+  async resetIncidents() {
+    this.clearAllExpiryTimers();
+    this.stopSpeechRepeat();
+    await this.removeDeferredIncidents(this._deferredIncidents.flat());
+    this._missingFetches = {};
+    this.incidents = {};
+    await this.setStoreValue('incidents', this.incidents);
+    await this.setAcknowledged(this.acknowledgedIncidents, false);
+    await this.setClearedIncidents([]);
+
+    // Update capability values to reflect cleared state
+    try {
+      await this.setCapabilityValue('alarm_generic', false);
+      await this.setCapabilityValue('message', null);
+      this.log('Capabilities cleared successfully');
+    } catch (err) {
+      this.error('Failed to clear capabilities:', err);
+    }
+  }
+
+  /**
+   * Get the area code this device watches
+   * @returns {string} The area code chosen when the device was added
+   */
+  getAreaCode() {
+    return this.getData().id;
+  }
+
+  /**
+   * Get the area codes this device watches
+   * @returns {string[]} The area codes from the device settings, or the single area of the device,
+   * followed by the neighbouring municipalities to include
+   */
+  getAreaCodes() {
+    const settings = this.getSettings();
+    const { codes } = parseAreaCodes(settings.area_codes);
+    const neighbours = parseAreaCodes(settings.neighbour_codes).codes.filter(isMunicipality);
+
+    // A device added for several areas has no single area to fall back on
+    const areas = codes.length > 0 || this.isMultiAreaDevice() ? codes : [this.getAreaCode()];
+    return [...new Set([...areas, ...neighbours])];
+  }
+
+  /**
+   * Check whether the device was added for several areas, which are chosen in its settings
+   * @returns {boolean} True for a device added with "Several areas"
+   */
+  isMultiAreaDevice() {
+    return String(this.getData().id).startsWith('multi-');
+  }
+
+  /**
+   * Mark a device for several areas unavailable until its areas are entered
+   * @param {Object} [settings] - The device settings, defaults to the current settings
+   * @returns {Promise<void>}
+   */
+  async updateAvailability(settings = this.getSettings()) {
+    if (this.isMultiAreaDevice() && parseAreaCodes(settings.area_codes).codes.length === 0) {
+      this.log('No areas entered for this device');
+      await this.setUnavailable(this.homey.__('errors.no_area_codes'));
+    } else {
+      await this.setAvailable();
+    }
+  }
+
+  /**
+   * Parse a list of source IDs separated by commas or spaces
+   * @param {string} text - The list of source IDs
+   * @returns {string[]} Unique source IDs
+   */
+  parseSourceIds(text) {
+    return [...new Set(String(text || '').split(/[\s,;]+/).filter(Boolean))];
+  }
+
+  /**
+   * Get the alert sources this device listens to
+   * @returns {string[]} The test API in test mode, otherwise the sources from the device settings,
+   * or the VMA API if none are set
+   */
+  getSourceIds() {
+    const settings = this.getSettings();
+    if (settings.test_mode === true) {
+      return ['test'];
+    }
+
+    const sourceIds = this.parseSourceIds(settings.sources);
+    return sourceIds.length > 0 ? sourceIds : ['production'];
+  }
+
+  /**
+   * Get the names of the watched areas an alert applies to
+   * @param {Object} alert - The alert object
+   * @returns {string[]} Names of the matching areas
+   */
+  getMatchedAreaNames(alert) {
+    return this.homey.app.getMatchedAreaCodes(alert, this.getAreaCodes(), this.getAreaGeometry())
+      .map((code) => getAreaName(code) || code);
+  }
+
+  /**
+   * Trigger the Krisinformation card for messages this device has not seen before
+   * Messages are kept apart from VMA incidents: they do not change the alarm or message
+   * capabilities and do not trigger VMA cards. Messages listed the first time the device
+   * receives the feed are taken as already known.
+   * @param {Array} messages - Krisinformation.se messages for this device's areas
+   * @param {Object} [options]
+   * @param {boolean} [options.authoritative] - True if messages is the complete list of current messages
+   * @returns {Promise<void>}
+   */
+  async processKrisinformationMessages(messages, { authoritative = false } = {}) {
+    const seen = await this.getStoreValue('krisinformation_seen');
+    const messageIds = messages.map((message) => message.identifier);
+
+    if (!Array.isArray(seen)) {
+      if (authoritative) {
+        await this.setStoreValue('krisinformation_seen', messageIds);
+      }
+      return;
+    }
+
+    for (const message of messages.filter((candidate) => !seen.includes(candidate.identifier))) {
+      this.handleKrisinformationMessage(message);
+    }
+
+    // Forget messages that are no longer listed, they are not listed again
+    await this.setStoreValue('krisinformation_seen', authoritative ? messageIds : [...new Set(seen.concat(messageIds))]);
+  }
+
+  /**
+   * Trigger the Krisinformation card for a new message and record it in the alert history
+   * @param {Object} message - The Krisinformation.se message
+   */
+  handleKrisinformationMessage(message) {
+    this.log(`New Krisinformation message ${message.identifier}: ${message.headline}`);
+
+    const matchedAreas = this.getAreaCodes()
+      .filter((code) => message.areaCodes.some((messageCode) => areasOverlap(messageCode, code)))
+      .map((code) => getAreaName(code) || code);
+    const area = message.areas.map((messageArea) => messageArea.description).filter(Boolean).join(', ');
+
+    this.driver.triggerKrisinformation(this, {
+      headline: message.headline,
+      preamble: message.preamble,
+      text: message.text,
+      area,
+      matched_areas: matchedAreas.join(', '),
+      url: message.web,
+      published: message.published || '',
+      identifier: message.identifier,
+    }, { identifier: message.identifier });
+
+    this.homey.app.recordAlertHistory(this, {
+      type: 'Krisinformation',
+      source: 'krisinformation',
+      identifier: message.identifier,
+      sent: message.published,
+      event: message.headline,
+      area,
+      message: message.preamble || message.headline,
+      url: message.web,
+    });
+  }
+
+  /**
+   * Get the location this device watches for alerts targeted at a polygon or circle
+   * @returns {Object|null} A custom polygon ring or a point, or null to match on area code only
+   */
+  getAreaGeometry() {
+    const settings = this.getSettings();
+
+    const polygon = settings.location_polygon ? parseCapPolygon(settings.location_polygon) : null;
+    if (polygon) {
+      return { polygon };
+    }
+
+    const point = settings.location_point ? parseCoordinate(settings.location_point) : null;
+    if (point) {
+      return { point };
+    }
+
+    return null;
+  }
+
+  /**
+   * onRenamed is called when the user updates the device's name.
+   * This method can be used this to synchronise the name to the device.
+   * @param {string} name The new name
+   */
+  async onRenamed(name) {
+    this.log('VMA device was renamed');
+  }
+
+  /**
+   * onUninit is called when the device is being destroyed.
+   */
+  async onUninit() {
+    this.clearAllExpiryTimers();
+    this.stopSpeechRepeat();
+    this.clearQuietHoursTimer();
+  }
+
+  /**
+   * onDeleted is called when the user deleted the device.
+   */
+  async onDeleted() {
+    this.log('VMA has been deleted');
+
+    this.clearAllExpiryTimers();
+    this.stopSpeechRepeat();
+    this.clearQuietHoursTimer();
 
     // Trigger SSE reconfiguration since device needs may have changed
     this.homey.app.setupSSEConnections();
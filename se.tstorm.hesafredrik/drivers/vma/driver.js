@@ -16,7 +16,9 @@ class MyDriver extends Driver {
     this.log('VMA driver has been initialized');
 
     this._vma_trigger = this.homey.flow.getDeviceTriggerCard('vma_trigger');
+    this._vma_update_trigger = this.homey.flow.getDeviceTriggerCard('vma_update_trigger');
     this._vma_cancel_trigger = this.homey.flow.getDeviceTriggerCard('vma_cancel_trigger');
+    this._krisinformation_trigger = this.homey.flow.getDeviceTriggerCard('krisinformation_trigger');
 
     // Register run listener to validate trigger conditions
     // Note: This only runs when a flow actually triggers, not during device pairing
@@ -44,6 +46,25 @@ class MyDriver extends Driver {
       }
     });
 
+    // Register run listener for update trigger
+    this._vma_update_trigger.registerRunListener(async (args, state) => {
+      try {
+        // Validate if device is on before allowing trigger
+        if (args.device) {
+          const onoff = await args.device.getCapabilityValue('onoff');
+          if (!onoff) {
+            this.log('VMA update trigger blocked: device is off');
+            return false;
+          }
+        }
+
+        return true;
+      } catch (error) {
+        this.error('Error in flow update run listener:', error);
+        return false;
+      }
+    });
+
     // Register run listener for cancellation trigger
     this._vma_cancel_trigger.registerRunListener(async (args, state) => {
       try {
@@ -62,18 +83,89 @@ class MyDriver extends Driver {
         return false;
       }
     });
+
+    // Register run listener for Krisinformation.se messages, which are not VMA alerts
+    this._krisinformation_trigger.registerRunListener(async (args, state) => {
+      try {
+        // Validate if device is on before allowing trigger
+        if (args.device) {
+          const onoff = await args.device.getCapabilityValue('onoff');
+          if (!onoff) {
+            this.log('Krisinformation trigger blocked: device is off');
+            return false;
+          }
+        }
+
+        return true;
+      } catch (error) {
+        this.error('Error in flow Krisinformation run listener:', error);
+        return false;
+      }
+    });
+
+    // Condition cards based on the device's active incidents
+    this.homey.flow.getConditionCard('has_active_vma')
+      .registerRunListener(async (args) => args.device.hasActiveAlert());
+
+    this.homey.flow.getConditionCard('active_vma_status')
+      .registerRunListener(async (args) => {
+        return args.device.hasActiveAlert((alert) => alert.status === args.status);
+      });
+
+    this.homey.flow.getConditionCard('active_vma_severity')
+      .registerRunListener(async (args) => {
+        return args.device.hasActiveAlert((alert) => args.device.alertMeetsSeverity(alert, args.severity));
+      });
+
+    this.homey.flow.getConditionCard('active_vma_urgency')
+      .registerRunListener(async (args) => {
+        return args.device.hasActiveAlert((alert) => args.device.alertMeetsUrgency(alert, args.urgency));
+      });
+
+    this.homey.flow.getConditionCard('active_vma_event')
+      .registerRunListener(async (args) => {
+        return args.device.hasActiveAlert((alert) => args.device.alertMatchesEvent(alert, args.event));
+      });
+
+    // Action cards to interact with the device's active incidents
+    this.homey.flow.getActionCard('acknowledge_vma')
+      .registerRunListener(async (args) => args.device.acknowledgeIncidents());
+
+    this.homey.flow.getActionCard('clear_vma')
+      .registerRunListener(async (args) => args.device.clearIncidents(args.incident_id));
+
+    this.homey.flow.getActionCard('refresh_vma')
+      .registerRunListener(async () => this.homey.app.fetchAndDistributeAlerts());
+
+    this.homey.flow.getActionCard('speak_vma')
+      .registerRunListener(async (args) => args.device.speakLatestIncident());
+
+    this.homey.flow.getActionCard('reannounce_vma')
+      .registerRunListener(async (args) => args.device.reannounceLatestIncident());
   }
 
   triggerVMA(device, tokens, state) {
     this._vma_trigger
       .trigger(device, tokens, state)
-      .catch(this.error);
+      .catch((err) => this.error('Failed to trigger new VMA flow:', err));
+  }
+
+  triggerVMAUpdate(device, tokens, state) {
+    this._vma_update_trigger
+      .trigger(device, tokens, state)
+      .catch((err) => this.error('Failed to trigger VMA update flow:', err));
   }
 
   triggerVMACancel(device, tokens, state) {
     this._vma_cancel_trigger
       .trigger(device, tokens, state)
-      .catch(this.error);
+      .catch((err) => this.error('Failed to trigger VMA ended flow:', err));
+  }
+
+  triggerKrisinformation(device, tokens, state) {
+    this._krisinformation_trigger
+      .trigger(device, tokens, state)
+      .catch((err) => this.error('Failed to trigger Krisinformation flow:', err));
   }
 
   /**
@@ -95,6 +187,12 @@ class MyDriver extends Driver {
           id: '00',
         });
 
+        // Add a single device watching several areas
+        counties.push({
+          name: this.homey.__('pair.select_county.multiple_areas'),
+          id: 'multi',
+        });
+
         // Add visual separator
         counties.push({
           name: '────────────────────────',
@@ -177,6 +275,15 @@ class MyDriver extends Driver {
         },
       };
       devices.push(device);
+    } else if (this.pairingCounty === 'multi') {
+      // Areas are chosen in the device settings after adding the device
+      const device = {
+        name: `VMA ${this.homey.__('pair.select_county.multiple_areas')}`,
+        data: {
+          id: `multi-${Date.now()}`,
+        },
+      };
+      devices.push(device);
     } else {
       Object.keys(AreaCodes[this.pairingCounty]).forEach((code) => {
         if (code === 'name') return;
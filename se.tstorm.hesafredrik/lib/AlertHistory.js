@@ -0,0 +1,82 @@
+'use strict';
+
+const SETTINGS_KEY = 'alert_history';
+const MAX_ENTRIES = 100;
+
+// Full payloads stored by earlier versions, dropped to keep the app settings small
+const PAYLOAD_KEYS = ['alert', 'warning'];
+
+/**
+ * Bounded log of alert events, persisted in the app settings
+ * Newest entries come first; the oldest are dropped once MAX_ENTRIES is reached.
+ */
+class AlertHistory {
+
+  /**
+   * @param {Object} settings - Homey settings manager (this.homey.settings)
+   * @param {number} [maxEntries] - Maximum number of entries to keep
+   */
+  constructor(settings, maxEntries = MAX_ENTRIES) {
+    this.settings = settings;
+    this.maxEntries = maxEntries;
+
+    const stored = this.settings.get(SETTINGS_KEY);
+    this.entries = Array.isArray(stored) ? stored : [];
+
+    if (this.entries.some((entry) => PAYLOAD_KEYS.some((key) => key in entry))) {
+      this.entries.forEach((entry) => PAYLOAD_KEYS.forEach((key) => delete entry[key]));
+      this.settings.set(SETTINGS_KEY, this.entries);
+    }
+  }
+
+  /**
+   * Add an entry to the history
+   * @param {Object} entry - History entry, a timestamp is added if missing
+   * @returns {Object} The stored entry
+   */
+  add(entry) {
+    const stored = { timestamp: new Date().toISOString() };
+    Object.assign(stored, entry);
+
+    this.entries.unshift(stored);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.length = this.maxEntries;
+    }
+
+    this.settings.set(SETTINGS_KEY, this.entries);
+    return stored;
+  }
+
+  /**
+   * Get history entries, newest first
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum number of entries to return
+   * @param {string} [options.areaCode] - Only return entries recorded by devices for this area code
+   * @returns {Array} History entries
+   */
+  get({ limit, areaCode } = {}) {
+    let { entries } = this;
+
+    if (areaCode) {
+      entries = entries.filter((entry) => entry.device && entry.device.areaCode === areaCode);
+    }
+
+    const max = Number(limit);
+    if (Number.isFinite(max) && max > 0) {
+      entries = entries.slice(0, max);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Remove all history entries
+   */
+  clear() {
+    this.entries = [];
+    this.settings.set(SETTINGS_KEY, this.entries);
+  }
+
+}
+
+module.exports = AlertHistory;
@@ -0,0 +1,141 @@
+'use strict';
+
+const { URL } = require('url');
+
+const SETTINGS_KEY = 'sources';
+
+// Alert list formats: the JSON of the VMA API v3, or a CAP 1.2 XML alert or Atom feed of alerts
+const FORMATS = ['vma', 'cap'];
+
+/**
+ * Additional alert sources, persisted in the app settings
+ * A source serves an alert list, e.g. a mirror, a local relay or a regional feed,
+ * and optionally an SSE stream announcing changes. Sources without a stream are polled.
+ */
+class SourceRegistry {
+
+  /**
+   * @param {Object} settings - Homey settings manager (this.homey.settings)
+   * @param {string[]} [reservedIds] - IDs of the built-in sources, which cannot be used
+   */
+  constructor(settings, reservedIds = []) {
+    this.settings = settings;
+    this.reservedIds = reservedIds;
+  }
+
+  /**
+   * Get all configured sources
+   * Entries that are not valid sources, e.g. edited by hand, are left out
+   * @returns {Array} Sources with id, name, alertsUrl, sseUrl (null if the source is polled) and format
+   */
+  getAll() {
+    const stored = this.settings.get(SETTINGS_KEY);
+    if (!Array.isArray(stored)) {
+      return [];
+    }
+
+    const ids = new Set(this.reservedIds);
+    return stored.filter((source) => {
+      const valid = source && typeof source.id === 'string' && !ids.has(source.id)
+        && SourceRegistry.isValidUrl(source.alertsUrl)
+        && (!source.sseUrl || SourceRegistry.isValidUrl(source.sseUrl));
+      if (valid) {
+        ids.add(source.id);
+      }
+      return valid;
+    }).map((source) => ({
+      id: source.id,
+      name: source.name || source.id,
+      alertsUrl: source.alertsUrl,
+      sseUrl: source.sseUrl || null,
+      format: FORMATS.includes(source.format) ? source.format : 'vma',
+    }));
+  }
+
+  /**
+   * Get a configured source
+   * @param {string} id - Source ID
+   * @returns {Object|null} The source, or null if there is no source with this ID
+   */
+  get(id) {
+    return this.getAll().find((source) => source.id === id) || null;
+  }
+
+  /**
+   * Add a source, with an ID derived from its name
+   * @param {Object} source - Name, alertsUrl, optional sseUrl and optional format ('vma' or 'cap') of the source
+   * @returns {Object} The stored source
+   */
+  add({
+    name, alertsUrl, sseUrl, format = 'vma',
+  } = {}) {
+    const trimmedName = String(name || '').trim();
+    if (!trimmedName) {
+      throw new Error('A source needs a name');
+    }
+    if (!SourceRegistry.isValidUrl(alertsUrl)) {
+      throw new Error(`Invalid alerts URL: ${alertsUrl}`);
+    }
+    if (sseUrl && !SourceRegistry.isValidUrl(sseUrl)) {
+      throw new Error(`Invalid SSE URL: ${sseUrl}`);
+    }
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Invalid alert format: ${format}`);
+    }
+
+    const sources = this.getAll();
+    const taken = new Set(this.reservedIds.concat(sources.map((source) => source.id)));
+    const base = trimmedName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'source';
+
+    let id = base;
+    for (let i = 2; taken.has(id); i++) {
+      id = `${base}-${i}`;
+    }
+
+    const stored = {
+      id,
+      name: trimmedName,
+      alertsUrl: alertsUrl.trim(),
+      sseUrl: sseUrl ? sseUrl.trim() : null,
+      format,
+    };
+
+    sources.push(stored);
+    this.settings.set(SETTINGS_KEY, sources);
+    return stored;
+  }
+
+  /**
+   * Remove a source
+   * @param {string} id - Source ID
+   * @returns {boolean} True if the source was removed, false if there was none with this ID
+   */
+  remove(id) {
+    const sources = this.getAll();
+    const remaining = sources.filter((source) => source.id !== id);
+
+    if (remaining.length === sources.length) {
+      return false;
+    }
+
+    this.settings.set(SETTINGS_KEY, remaining);
+    return true;
+  }
+
+  /**
+   * Check whether a URL can be used for a source
+   * @param {string} url - The URL
+   * @returns {boolean} True for an http or https URL
+   */
+  static isValidUrl(url) {
+    try {
+      const { protocol } = new URL(String(url).trim());
+      return protocol === 'http:' || protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  }
+
+}
+
+module.exports = SourceRegistry;
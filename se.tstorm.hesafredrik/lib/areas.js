@@ -0,0 +1,170 @@
+'use strict';
+
+const { AreaCodes } = require('../drivers/vma/areacodes');
+
+/**
+ * Area hierarchy built on the VMA area codes: Sweden ("00") contains the counties
+ * (two digits), and each county contains its municipalities (four digits, starting
+ * with the county code).
+ */
+
+const NATIONWIDE = '00';
+
+/**
+ * Check whether a code is a known county
+ * @param {string} code - Area code
+ * @returns {boolean} True for a two-digit county code
+ */
+function isCounty(code) {
+  return code !== NATIONWIDE && Object.prototype.hasOwnProperty.call(AreaCodes, code);
+}
+
+/**
+ * Check whether a code is a known municipality
+ * @param {string} code - Area code
+ * @returns {boolean} True for a four-digit municipality code
+ */
+function isMunicipality(code) {
+  const county = AreaCodes[String(code).substring(0, 2)];
+  return String(code).length === 4 && Boolean(county) && Object.prototype.hasOwnProperty.call(county, code);
+}
+
+/**
+ * Get the name of an area
+ * @param {string} code - Area code
+ * @returns {string|null} The area name, or null for an unknown code
+ */
+function getAreaName(code) {
+  if (code === NATIONWIDE || isCounty(code)) {
+    return AreaCodes[code].name;
+  }
+
+  return isMunicipality(code) ? AreaCodes[code.substring(0, 2)][code] : null;
+}
+
+/**
+ * Get the area directly containing an area
+ * @param {string} code - Area code
+ * @returns {string|null} The county of a municipality, Sweden for a county, otherwise null
+ */
+function getParentCode(code) {
+  if (isMunicipality(code)) {
+    return code.substring(0, 2);
+  }
+
+  return isCounty(code) ? NATIONWIDE : null;
+}
+
+/**
+ * Get the municipalities of a county
+ * @param {string} code - County code
+ * @returns {string[]} Municipality codes, empty for anything but a county
+ */
+function getMunicipalityCodes(code) {
+  if (!isCounty(code)) {
+    return [];
+  }
+
+  return Object.keys(AreaCodes[code]).filter((key) => key !== 'name');
+}
+
+/**
+ * Check whether an area is, or lies within, another area
+ * @param {string} parent - Code of the containing area
+ * @param {string} child - Code of the contained area
+ * @returns {boolean} True if child is parent or one of its descendants
+ */
+function areaContains(parent, child) {
+  for (let code = child; code; code = getParentCode(code)) {
+    if (code === parent) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Check whether two areas overlap, i.e. one contains the other
+ * @param {string} a - Area code
+ * @param {string} b - Area code
+ * @returns {boolean} True if the areas overlap
+ */
+function areasOverlap(a, b) {
+  return areaContains(a, b) || areaContains(b, a);
+}
+
+/**
+ * Find the code of an area by its name, as written by Swedish authorities
+ * Accepts county names ("Stockholms län"), the regions governing them ("Region Skåne"),
+ * municipality names with or without "kommun" or "stad" ("Stockholms stad", "Kalix kommun") and "Sverige"
+ * @param {string} name - The area name
+ * @returns {string|null} The area code, or null if no area has this name
+ */
+function findAreaCodeByName(name) {
+  const wanted = String(name || '').trim().toLowerCase();
+  if (!wanted) {
+    return null;
+  }
+  if (wanted === 'sverige') {
+    return NATIONWIDE;
+  }
+
+  const counties = Object.keys(AreaCodes).filter(isCounty);
+  const county = counties.find((code) => AreaCodes[code].name.toLowerCase() === wanted);
+  if (county) {
+    return county;
+  }
+
+  // Regions are named after their county, e.g. "Region Stockholm" for Stockholms län.
+  // Region Gotland is also the only municipality of its county, so it is the municipality.
+  const region = wanted.match(/^region\s+(.+)$/);
+  if (region) {
+    const regionCounty = counties.find((code) => {
+      const countyName = AreaCodes[code].name.toLowerCase();
+      return [region[1], `${region[1]} län`, `${region[1]}s län`].includes(countyName);
+    });
+    if (regionCounty) {
+      const municipalities = getMunicipalityCodes(regionCounty);
+      return municipalities.length === 1 ? municipalities[0] : regionCounty;
+    }
+  }
+
+  // Municipality names are often written in the genitive, e.g. "Stockholms stad" for Stockholm
+  const base = wanted.replace(/\s+(kommun|stad)$/, '');
+  for (const code of counties.flatMap(getMunicipalityCodes)) {
+    const municipality = getAreaName(code).toLowerCase();
+    if (municipality === base || `${municipality}s` === base) {
+      return code;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a list of area codes separated by commas or spaces
+ * @param {string} text - The list of area codes
+ * @returns {Object} Known codes and unknown codes
+ */
+function parseAreaCodes(text) {
+  const codes = [...new Set(String(text || '').split(/[\s,;]+/).filter(Boolean))];
+
+  return {
+    codes: codes.filter((code) => getAreaName(code) !== null),
+    invalid: codes.filter((code) => getAreaName(code) === null),
+  };
+}
+
+module.exports = {
+  NATIONWIDE,
+  isCounty,
+  isMunicipality,
+  getAreaName,
+  getParentCode,
+  getMunicipalityCodes,
+  areaContains,
+  areasOverlap,
+  findAreaCodeByName,
+  parseAreaCodes,
+};
@@ -0,0 +1,220 @@
+'use strict';
+
+const { URL } = require('url');
+const {
+  parseXml, childElements, childElement, childText,
+} = require('./xml');
+
+const CAP_NAMESPACE = 'urn:oasis:names:tc:emergency:cap:1.2';
+
+// Geocode value names holding Swedish county and municipality codes, as used by VMA, in lower case
+const GEOCODE_VALUE_NAMES = ['kommun', 'län', 'land'];
+
+/**
+ * Leave out fields without a value
+ * @param {Object} object - Object with optional fields
+ * @returns {Object} The same object without undefined fields
+ */
+function compact(object) {
+  Object.keys(object).forEach((key) => {
+    if (object[key] === undefined) {
+      delete object[key];
+    }
+  });
+  return object;
+}
+
+/**
+ * Get the texts of all child elements with a local name
+ * @param {Object} element - The parent element
+ * @param {string} localName - Local name of the children
+ * @returns {string[]|undefined} The non-empty texts, or undefined if there are none
+ */
+function childTexts(element, localName) {
+  const texts = childElements(element, localName).map((child) => child.text.trim()).filter(Boolean);
+  return texts.length > 0 ? texts : undefined;
+}
+
+/**
+ * Get valueName/value pairs such as eventCode, parameter and geocode
+ * @param {Object} element - The parent element
+ * @param {string} localName - Local name of the pairs
+ * @returns {Object[]} Pairs with valueName and value
+ */
+function valuePairs(element, localName) {
+  return childElements(element, localName)
+    .map((pair) => ({ valueName: childText(pair, 'valueName') || '', value: childText(pair, 'value') || '' }))
+    .filter((pair) => pair.value);
+}
+
+/**
+ * Normalize a CAP area
+ * The VMA API gives each area a single geocode, so an area with several geocodes
+ * becomes one area per geocode. Geocodes of other schemes are left out, as their
+ * values are not Swedish area codes
+ * @param {Object} element - The area element
+ * @returns {Object[]} Areas with areaDesc, polygon, circle and geocode
+ */
+function normalizeArea(element) {
+  const geocodes = valuePairs(element, 'geocode')
+    .filter((geocode) => GEOCODE_VALUE_NAMES.includes(geocode.valueName.toLowerCase()));
+  const createArea = (geocode) => compact({
+    areaDesc: childText(element, 'areaDesc') || '',
+    polygon: childTexts(element, 'polygon'),
+    circle: childTexts(element, 'circle'),
+    geocode,
+    altitude: childText(element, 'altitude'),
+    ceiling: childText(element, 'ceiling'),
+  });
+
+  if (geocodes.length === 0) {
+    return [createArea(undefined)];
+  }
+
+  return geocodes.map((geocode) => createArea(geocode.value));
+}
+
+/**
+ * Normalize a CAP info block
+ * The fields the VMA API always lists are empty rather than missing when the info block leaves them out
+ * @param {Object} element - The info element
+ * @returns {Object} Info in the shape of the VMA API
+ */
+function normalizeInfo(element) {
+  const eventCode = valuePairs(element, 'eventCode');
+  const parameter = valuePairs(element, 'parameter');
+
+  return compact({
+    language: childText(element, 'language') || 'en-US',
+    category: childText(element, 'category') || '',
+    event: childText(element, 'event') || '',
+    responseType: childText(element, 'responseType'),
+    urgency: childText(element, 'urgency') || '',
+    severity: childText(element, 'severity') || '',
+    certainty: childText(element, 'certainty') || '',
+    audience: childText(element, 'audience'),
+    eventCode: eventCode.length > 0 ? eventCode : undefined,
+    effective: childText(element, 'effective'),
+    onset: childText(element, 'onset'),
+    expires: childText(element, 'expires'),
+    senderName: childText(element, 'senderName'),
+    headline: childText(element, 'headline'),
+    description: childText(element, 'description') || '',
+    instruction: childText(element, 'instruction'),
+    web: childText(element, 'web'),
+    contact: childText(element, 'contact'),
+    parameter: parameter.length > 0 ? parameter : undefined,
+    area: childElements(element, 'area').flatMap(normalizeArea),
+  });
+}
+
+/**
+ * Normalize a CAP 1.2 alert element into the alert shape of the VMA API
+ * @param {Object} element - The alert element
+ * @returns {Object} The alert
+ */
+function normalizeCapAlert(element) {
+  if (element.localName !== 'alert') {
+    throw new Error(`Expected a CAP alert, got <${element.name}>`);
+  }
+
+  const alert = compact({
+    identifier: childText(element, 'identifier'),
+    sender: childText(element, 'sender'),
+    sent: childText(element, 'sent'),
+    status: childText(element, 'status'),
+    msgType: childText(element, 'msgType'),
+    source: childText(element, 'source'),
+    scope: childText(element, 'scope'),
+    restriction: childText(element, 'restriction'),
+    addresses: childText(element, 'addresses'),
+    code: childTexts(element, 'code'),
+    note: childText(element, 'note'),
+    references: childText(element, 'references'),
+    incidents: childText(element, 'incidents'),
+    info: childElements(element, 'info').map(normalizeInfo),
+  });
+
+  ['identifier', 'sent', 'status', 'msgType'].forEach((field) => {
+    if (!alert[field]) {
+      throw new Error(`CAP alert is missing ${field}`);
+    }
+  });
+
+  return alert;
+}
+
+/**
+ * Find the CAP alert embedded in an element, e.g. in the content of an Atom entry
+ * @param {Object} element - The element to search
+ * @returns {Object|null} The alert element, or null if there is none
+ */
+function findAlertElement(element) {
+  for (const child of element.children) {
+    if (child.localName === 'alert' && (child.attributes.xmlns === CAP_NAMESPACE || childElement(child, 'identifier'))) {
+      return child;
+    }
+    const nested = findAlertElement(child);
+    if (nested) {
+      return nested;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the link to the CAP document of an Atom entry
+ * @param {Object} entry - The entry element
+ * @returns {string|null} The link, or null if the entry has none
+ */
+function findCapLink(entry) {
+  const links = childElements(entry, 'link').filter((link) => link.attributes.href);
+  const link = links.find((candidate) => /cap/i.test(candidate.attributes.type || ''))
+    || links.find((candidate) => !candidate.attributes.type && /\.(xml|cap)(\?|$)/i.test(candidate.attributes.href));
+
+  return link ? link.attributes.href : null;
+}
+
+/**
+ * Parse a CAP 1.2 XML document, either a single alert or an Atom feed of alerts
+ * Feed entries either embed their alert or link to it; linked alerts have to be fetched
+ * and parsed separately to complete the alert list
+ * @param {string} xml - The document
+ * @param {string} [baseUrl] - URL of the document, to resolve relative links against
+ * @returns {Object} Alerts in the shape of the VMA API and links to the alerts of the other entries
+ */
+function parseCapXml(xml, baseUrl) {
+  const root = parseXml(xml);
+
+  if (root.localName === 'alert') {
+    return { alerts: [normalizeCapAlert(root)], links: [] };
+  }
+
+  if (root.localName !== 'feed') {
+    throw new Error(`Not a CAP alert or Atom feed: <${root.name}>`);
+  }
+
+  const alerts = [];
+  const links = [];
+
+  childElements(root, 'entry').forEach((entry) => {
+    const alertElement = findAlertElement(entry);
+    if (alertElement) {
+      alerts.push(normalizeCapAlert(alertElement));
+      return;
+    }
+
+    const link = findCapLink(entry);
+    if (!link) {
+      throw new Error(`Atom entry ${childText(entry, 'id') || ''} has no CAP alert`);
+    }
+    links.push(baseUrl ? new URL(link, baseUrl).toString() : link);
+  });
+
+  return { alerts, links };
+}
+
+module.exports = {
+  normalizeCapAlert,
+  parseCapXml,
+};
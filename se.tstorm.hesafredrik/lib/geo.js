@@ -0,0 +1,246 @@
+'use strict';
+
+/**
+ * Geometry helpers working on [longitude, latitude] positions, as used by GeoJSON
+ */
+
+/**
+ * Check whether a point is inside a linear ring (ray casting)
+ * @param {number[]} point - [longitude, latitude]
+ * @param {Array} ring - Array of [longitude, latitude] positions
+ * @returns {boolean} True if the point is inside the ring
+ */
+function pointInRing(point, ring) {
+  const [x, y] = point;
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Check whether a point is inside a polygon, given as an outer ring followed by holes
+ * @param {number[]} point - [longitude, latitude]
+ * @param {Array} rings - Polygon rings
+ * @returns {boolean} True if the point is inside the outer ring and outside all holes
+ */
+function pointInPolygon(point, rings) {
+  if (!Array.isArray(rings) || rings.length === 0 || !pointInRing(point, rings[0])) {
+    return false;
+  }
+
+  return rings.slice(1).every((hole) => !pointInRing(point, hole));
+}
+
+/**
+ * Check whether a point is inside a GeoJSON Polygon or MultiPolygon geometry
+ * @param {number[]} point - [longitude, latitude]
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean} True if the point is inside the geometry
+ */
+function pointInGeometry(point, geometry) {
+  if (!geometry) {
+    return false;
+  }
+
+  if (geometry.type === 'Polygon') {
+    return pointInPolygon(point, geometry.coordinates);
+  }
+
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.some((rings) => pointInPolygon(point, rings));
+  }
+
+  return false;
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {number[]} from - [longitude, latitude]
+ * @param {number[]} to - [longitude, latitude]
+ * @returns {number} Distance in kilometres
+ */
+function distanceKm(from, to) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to[1] - from[1]);
+  const dLon = toRadians(to[0] - from[0]);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from[1])) * Math.cos(toRadians(to[1])) * Math.sin(dLon / 2) ** 2;
+
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Distance from a point to a line segment, on a local flat projection around the point
+ * @param {number[]} point - [longitude, latitude]
+ * @param {number[]} start - Segment start [longitude, latitude]
+ * @param {number[]} end - Segment end [longitude, latitude]
+ * @returns {number} Distance in kilometres
+ */
+function distanceToSegmentKm(point, start, end) {
+  const kmPerDegree = 111.32;
+  const scale = Math.cos((point[1] * Math.PI) / 180);
+  const project = ([lon, lat]) => [
+    (lon - point[0]) * kmPerDegree * scale,
+    (lat - point[1]) * kmPerDegree,
+  ];
+  const [ax, ay] = project(start);
+  const [bx, by] = project(end);
+  const lengthSquared = (bx - ax) ** 2 + (by - ay) ** 2;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, -(ax * (bx - ax) + ay * (by - ay)) / lengthSquared));
+
+  return Math.hypot(ax + t * (bx - ax), ay + t * (by - ay));
+}
+
+/**
+ * Check whether two line segments cross
+ * @param {number[]} a1 - First segment start
+ * @param {number[]} a2 - First segment end
+ * @param {number[]} b1 - Second segment start
+ * @param {number[]} b2 - Second segment end
+ * @returns {boolean} True if the segments intersect
+ */
+function segmentsIntersect(a1, a2, b1, b2) {
+  const orientation = (p, q, r) => Math.sign((q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]));
+
+  return orientation(a1, a2, b1) !== orientation(a1, a2, b2)
+    && orientation(b1, b2, a1) !== orientation(b1, b2, a2);
+}
+
+/**
+ * Iterate over the edges of a ring
+ * @param {Array} ring - Array of [longitude, latitude] positions
+ * @returns {Array} Array of [start, end] position pairs
+ */
+function ringEdges(ring) {
+  return ring.map((position, i) => [position, ring[(i + 1) % ring.length]]);
+}
+
+/**
+ * Check whether two rings overlap
+ * @param {Array} a - Array of [longitude, latitude] positions
+ * @param {Array} b - Array of [longitude, latitude] positions
+ * @returns {boolean} True if the rings overlap or one contains the other
+ */
+function ringsIntersect(a, b) {
+  if (a.some((point) => pointInRing(point, b)) || b.some((point) => pointInRing(point, a))) {
+    return true;
+  }
+
+  const edgesB = ringEdges(b);
+  return ringEdges(a).some(([a1, a2]) => edgesB.some(([b1, b2]) => segmentsIntersect(a1, a2, b1, b2)));
+}
+
+/**
+ * Get the outer rings of a GeoJSON Polygon or MultiPolygon geometry
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array} Outer rings, holes left out
+ */
+function outerRings(geometry) {
+  if (geometry?.type === 'Polygon') {
+    return geometry.coordinates.slice(0, 1);
+  }
+  if (geometry?.type === 'MultiPolygon') {
+    return geometry.coordinates.map((rings) => rings[0]).filter(Boolean);
+  }
+  return [];
+}
+
+/**
+ * Check whether two GeoJSON Polygon or MultiPolygon geometries overlap
+ * Holes are ignored, so a geometry inside a hole of the other counts as overlapping
+ * @param {Object} a - GeoJSON geometry
+ * @param {Object} b - GeoJSON geometry
+ * @returns {boolean} True if the outer rings of the geometries overlap
+ */
+function geometriesIntersect(a, b) {
+  const ringsB = outerRings(b);
+  return outerRings(a).some((ringA) => ringsB.some((ringB) => ringsIntersect(ringA, ringB)));
+}
+
+/**
+ * Check whether a circle overlaps a ring
+ * @param {Object} circle - Circle with center [longitude, latitude] and radius in kilometres
+ * @param {Array} ring - Array of [longitude, latitude] positions
+ * @returns {boolean} True if the circle and ring overlap
+ */
+function circleIntersectsRing(circle, ring) {
+  return pointInRing(circle.center, ring)
+    || ringEdges(ring).some(([start, end]) => distanceToSegmentKm(circle.center, start, end) <= circle.radius);
+}
+
+/**
+ * Parse a "latitude,longitude" coordinate, as used by CAP
+ * @param {string} text - The coordinate
+ * @returns {number[]|null} [longitude, latitude], or null if it is not a valid coordinate
+ */
+function parseCoordinate(text) {
+  const parts = String(text).split(',').map((part) => Number(part.trim()));
+
+  if (parts.length !== 2 || !parts.every(Number.isFinite)) {
+    return null;
+  }
+
+  const [latitude, longitude] = parts;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+
+  return [longitude, latitude];
+}
+
+/**
+ * Parse a CAP polygon, space separated "latitude,longitude" pairs
+ * @param {string} text - The polygon
+ * @returns {Array|null} Ring of [longitude, latitude] positions, or null if it is not a valid polygon
+ */
+function parseCapPolygon(text) {
+  const ring = String(text).trim().split(/\s+/).map(parseCoordinate);
+
+  if (ring.length < 3 || ring.some((position) => position === null)) {
+    return null;
+  }
+
+  return ring;
+}
+
+/**
+ * Parse a CAP circle, a "latitude,longitude" center and a radius in kilometres
+ * @param {string} text - The circle
+ * @returns {Object|null} Circle with center [longitude, latitude] and radius, or null if it is not a valid circle
+ */
+function parseCapCircle(text) {
+  const [centerText, radiusText] = String(text).trim().split(/\s+/);
+  const center = parseCoordinate(centerText);
+  const radius = Number(radiusText);
+
+  if (!center || !Number.isFinite(radius) || radius < 0) {
+    return null;
+  }
+
+  return { center, radius };
+}
+
+module.exports = {
+  pointInRing,
+  pointInPolygon,
+  pointInGeometry,
+  distanceKm,
+  distanceToSegmentKm,
+  ringsIntersect,
+  geometriesIntersect,
+  circleIntersectsRing,
+  parseCoordinate,
+  parseCapPolygon,
+  parseCapCircle,
+};
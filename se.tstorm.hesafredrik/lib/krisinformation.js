@@ -0,0 +1,59 @@
+'use strict';
+
+const { findAreaCodeByName } = require('./areas');
+
+/**
+ * News and crisis messages from the Krisinformation.se API (v3)
+ * Krisinformation.se publishes the messages of Swedish authorities about ongoing crises,
+ * a broader set than VMA. They are informational and never handled as VMA alerts.
+ */
+
+/**
+ * Normalize one message of the Krisinformation.se API
+ * @param {Object} item - The message as returned by the API
+ * @returns {Object} Message with identifier, texts, link, times and areas
+ */
+function normalizeMessage(item) {
+  if (!item || !item.Identifier) {
+    throw new Error('Krisinformation message without identifier');
+  }
+
+  const areas = (Array.isArray(item.Area) ? item.Area : []).map((area) => ({
+    type: area.Type || '',
+    description: area.Description || '',
+    code: findAreaCodeByName(area.Description),
+  }));
+
+  return {
+    identifier: String(item.Identifier),
+    headline: item.Headline || item.PushMessage || '',
+    preamble: item.Preamble || '',
+    text: item.BodyText || '',
+    web: item.Web || '',
+    language: item.Language || 'sv',
+    sender: item.SenderName || '',
+    published: item.Published || null,
+    updated: item.Updated || item.Published || null,
+    areas,
+    // Areas named in a way that does not match a county or municipality are left out
+    areaCodes: [...new Set(areas.map((area) => area.code).filter(Boolean))],
+  };
+}
+
+/**
+ * Normalize the message list of the Krisinformation.se API
+ * @param {Array} json - The messages as returned by the API
+ * @returns {Array} Messages, see normalizeMessage()
+ */
+function normalizeKrisinformationMessages(json) {
+  // Anything but a message list is not a complete list of current messages
+  if (!Array.isArray(json)) {
+    throw new Error('Malformed Krisinformation message list');
+  }
+
+  return json.map(normalizeMessage);
+}
+
+module.exports = {
+  normalizeKrisinformationMessages,
+};
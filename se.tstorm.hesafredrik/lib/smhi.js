@@ -0,0 +1,148 @@
+'use strict';
+
+const { NATIONWIDE, isCounty, areasOverlap } = require('./areas');
+const { geometriesIntersect } = require('./geo');
+
+/**
+ * SMHI weather warnings from the impact-based warnings API (IBWW)
+ * The API lists warnings per event, each issued for one or more warning areas with their
+ * own level, period and description. A warning area is handled like a VMA incident.
+ */
+
+// Warning levels, from lowest to highest; messages inform about weather that is not yet a warning
+const SMHI_LEVELS = ['MESSAGE', 'YELLOW', 'ORANGE', 'RED'];
+
+/**
+ * Get the polygons of a GeoJSON object
+ * @param {Object} geojson - FeatureCollection, Feature, Polygon or MultiPolygon
+ * @returns {Array} Polygons, each an array of rings
+ */
+function collectPolygons(geojson) {
+  if (!geojson || typeof geojson !== 'object') {
+    return [];
+  }
+  if (geojson.type === 'FeatureCollection') {
+    return (geojson.features || []).flatMap(collectPolygons);
+  }
+  if (geojson.type === 'Feature') {
+    return collectPolygons(geojson.geometry);
+  }
+  if (geojson.type === 'Polygon') {
+    return [geojson.coordinates];
+  }
+  if (geojson.type === 'MultiPolygon') {
+    return geojson.coordinates;
+  }
+  return [];
+}
+
+/**
+ * Get the Swedish and English version of a localized SMHI text
+ * @param {Object} text - Object with sv and en texts
+ * @returns {Object} Object with sv and en, empty strings for missing texts
+ */
+function localized(text) {
+  return {
+    sv: text?.sv || text?.en || '',
+    en: text?.en || text?.sv || '',
+  };
+}
+
+/**
+ * Normalize one warning area of an SMHI warning
+ * @param {Object} warning - The warning
+ * @param {Object} warningArea - One of its warning areas
+ * @returns {Object} The warning area with its level, event, area, counties, period and geometry
+ */
+function normalizeWarningArea(warning, warningArea) {
+  const level = warningArea.warningLevel?.code;
+  if (warningArea.id === undefined || !SMHI_LEVELS.includes(level)) {
+    throw new Error(`Invalid SMHI warning area in warning ${warning.id}`);
+  }
+
+  const descriptions = (warningArea.descriptions || []).map((description) => ({
+    title: localized(description.title),
+    text: localized(description.text),
+  }));
+  const polygons = collectPolygons(warningArea.area);
+
+  return {
+    id: String(warningArea.id),
+    warningId: String(warning.id),
+    level,
+    levelName: localized(warningArea.warningLevel),
+    event: localized(warningArea.eventDescription || warning.event),
+    eventCode: warningArea.eventDescription?.code || warning.event?.code || '',
+    areaName: localized(warningArea.areaName),
+    // Affected areas are counties by their county code, or sea areas
+    counties: (warningArea.affectedAreas || [])
+      .map((area) => String(area.id).padStart(2, '0'))
+      .filter(isCounty),
+    description: {
+      sv: descriptions.map((description) => description.text.sv).filter(Boolean).join('\n'),
+      en: descriptions.map((description) => description.text.en).filter(Boolean).join('\n'),
+    },
+    start: warningArea.approximateStart || null,
+    end: warningArea.approximateEnd || null,
+    published: warningArea.published || null,
+    geometry: polygons.length > 0 ? { type: 'MultiPolygon', coordinates: polygons } : null,
+  };
+}
+
+/**
+ * Normalize the warning list of the SMHI warnings API into a list of warning areas
+ * @param {Array} json - The warnings as returned by the API
+ * @returns {Array} Warning areas, see normalizeWarningArea()
+ */
+function normalizeSmhiWarnings(json) {
+  // Anything but a warning list is not a complete list of current warnings
+  if (!Array.isArray(json)) {
+    throw new Error('Malformed SMHI warning list');
+  }
+
+  return json.flatMap((warning) => (warning.warningAreas || []).map((warningArea) => {
+    return normalizeWarningArea(warning, warningArea);
+  }));
+}
+
+/**
+ * Check whether a warning level is at least another level
+ * @param {string} level - The level to check
+ * @param {string} minLevel - The lowest accepted level
+ * @returns {boolean} True if level is minLevel or higher
+ */
+function levelAtLeast(level, minLevel) {
+  return SMHI_LEVELS.indexOf(level) >= SMHI_LEVELS.indexOf(minLevel);
+}
+
+/**
+ * Check whether a warning area affects an area
+ * A warning affects the counties it lists; for a municipality the warning's polygon is
+ * also checked against the municipality boundary when both are known
+ * @param {Object} warning - The warning area, see normalizeWarningArea()
+ * @param {string} areaCode - Area code of the country, a county or a municipality
+ * @param {Object} [boundary] - GeoJSON geometry of the area
+ * @returns {boolean} True if the warning applies to the area
+ */
+function warningAffectsArea(warning, areaCode, boundary) {
+  if (areaCode === NATIONWIDE) {
+    return true;
+  }
+
+  if (!warning.counties.some((county) => areasOverlap(county, areaCode))) {
+    return false;
+  }
+
+  if (!boundary || !warning.geometry) {
+    return true;
+  }
+
+  return geometriesIntersect(warning.geometry, boundary);
+}
+
+module.exports = {
+  SMHI_LEVELS,
+  normalizeSmhiWarnings,
+  levelAtLeast,
+  warningAffectsArea,
+};
@@ -0,0 +1,193 @@
+'use strict';
+
+/**
+ * Minimal XML reader for CAP documents and Atom feeds
+ * Supports elements, attributes, text, CDATA sections, comments, processing instructions
+ * and the predefined and numeric entities. Document type declarations are skipped.
+ * Namespace prefixes are kept in the element name and left out of localName.
+ */
+
+const ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'",
+};
+
+/**
+ * Replace entity and character references
+ * @param {string} text - Text with references
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (reference, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10);
+      return String.fromCodePoint(code);
+    }
+    if (!Object.prototype.hasOwnProperty.call(ENTITIES, name)) {
+      throw new Error(`Unknown XML entity ${reference}`);
+    }
+    return ENTITIES[name];
+  });
+}
+
+/**
+ * Create an element
+ * @param {string} name - Qualified element name
+ * @param {Object} attributes - Attribute values by qualified name
+ * @returns {Object} Element with name, localName, attributes, children and text
+ */
+function createElement(name, attributes) {
+  return {
+    name,
+    localName: name.substring(name.indexOf(':') + 1),
+    attributes,
+    children: [],
+    text: '',
+  };
+}
+
+/**
+ * Parse the attributes of a start tag
+ * @param {string} text - The start tag without its name and angle brackets
+ * @returns {Object} Attribute values by qualified name
+ */
+function parseAttributes(text) {
+  const attributes = {};
+
+  text.replace(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (attribute, name, doubleQuoted, singleQuoted) => {
+    attributes[name] = decodeEntities(doubleQuoted !== undefined ? doubleQuoted : singleQuoted);
+    return attribute;
+  });
+
+  return attributes;
+}
+
+/**
+ * Parse an XML document
+ * @param {string} xml - The document
+ * @returns {Object} The root element, see createElement()
+ */
+function parseXml(xml) {
+  const text = String(xml);
+  const root = createElement('#document', {});
+  const stack = [root];
+  let position = 0;
+
+  const skipTo = (terminator, description) => {
+    const end = text.indexOf(terminator, position);
+    if (end === -1) {
+      throw new Error(`Unterminated ${description} in XML`);
+    }
+    const content = text.substring(position, end);
+    position = end + terminator.length;
+    return content;
+  };
+
+  while (position < text.length) {
+    const current = stack[stack.length - 1];
+    const tagStart = text.indexOf('<', position);
+
+    // Text up to the next tag
+    const end = tagStart === -1 ? text.length : tagStart;
+    if (end > position) {
+      current.text += decodeEntities(text.substring(position, end));
+      position = end;
+      continue;
+    }
+
+    if (text.startsWith('<!--', position)) {
+      position += 4;
+      skipTo('-->', 'comment');
+    } else if (text.startsWith('<![CDATA[', position)) {
+      position += 9;
+      current.text += skipTo(']]>', 'CDATA section');
+    } else if (text.startsWith('<?', position)) {
+      position += 2;
+      skipTo('?>', 'processing instruction');
+    } else if (text.startsWith('<!', position)) {
+      // Document type declaration, skipping any internal subset
+      position += 2;
+      const subsetStart = text.indexOf('[', position);
+      if (subsetStart !== -1 && subsetStart < text.indexOf('>', position)) {
+        position = subsetStart + 1;
+        skipTo(']', 'document type declaration');
+      }
+      skipTo('>', 'document type declaration');
+    } else if (text.startsWith('</', position)) {
+      position += 2;
+      const name = skipTo('>', 'end tag').trim();
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Unexpected end tag </${name}> in XML`);
+      }
+      stack.pop();
+    } else {
+      position += 1;
+      const tag = skipTo('>', 'start tag');
+      const selfClosing = tag.endsWith('/');
+      const content = selfClosing ? tag.slice(0, -1) : tag;
+      const nameMatch = /^[^\s/>]+/.exec(content);
+      if (!nameMatch) {
+        throw new Error('Invalid start tag in XML');
+      }
+
+      const element = createElement(nameMatch[0], parseAttributes(content.substring(nameMatch[0].length)));
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed element <${stack[stack.length - 1].name}> in XML`);
+  }
+
+  const [documentElement] = root.children;
+  if (!documentElement || root.children.length > 1 || root.text.trim()) {
+    throw new Error('XML must have a single root element');
+  }
+
+  return documentElement;
+}
+
+/**
+ * Get the child elements with a local name
+ * @param {Object} element - The parent element
+ * @param {string} localName - Local name of the children
+ * @returns {Object[]} The matching children
+ */
+function childElements(element, localName) {
+  return element.children.filter((child) => child.localName === localName);
+}
+
+/**
+ * Get the first child element with a local name
+ * @param {Object} element - The parent element
+ * @param {string} localName - Local name of the child
+ * @returns {Object|null} The child, or null if there is none
+ */
+function childElement(element, localName) {
+  return element.children.find((child) => child.localName === localName) || null;
+}
+
+/**
+ * Get the trimmed text of the first child element with a local name
+ * @param {Object} element - The parent element
+ * @param {string} localName - Local name of the child
+ * @returns {string|undefined} The text, or undefined if there is no such child or it is empty
+ */
+function childText(element, localName) {
+  const child = childElement(element, localName);
+  const text = child ? child.text.trim() : '';
+  return text || undefined;
+}
+
+module.exports = {
+  parseXml,
+  childElements,
+  childElement,
+  childText,
+};
@@ -0,0 +1,114 @@
+/* eslint-disable no-console, no-bitwise */
+
+'use strict';
+
+/**
+ * Generate the quieter versions of the signals in assets/sounds
+ *
+ * Homey cannot play an MP3 at a chosen volume, so each signal is also shipped at lower levels.
+ * The levels are made like mp3gain does, by lowering the global gain of every granule in the
+ * MPEG-1 Layer III frames, which changes the volume in steps of 1.5 dB without re-encoding.
+ *
+ * Usage: node scripts/build-signal-levels.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SOUNDS = path.join(__dirname, '..', 'assets', 'sounds');
+const SIGNALS = ['viktigt-meddelande', 'faran-over'];
+
+// Gain steps of 1.5 dB below the original for each volume level
+const LEVELS = {
+  medium: 4, // -6 dB, about half as loud
+  low: 8, // -12 dB, about a quarter as loud
+};
+
+// Kilobits per second by bitrate index, and samples per second by sample rate index (MPEG-1 Layer III)
+const BITRATES = [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320];
+const SAMPLE_RATES = [44100, 48000, 32000];
+
+/**
+ * Get the length of the ID3v2 tag at the start of a file
+ * @param {Buffer} data - The MP3 file
+ * @returns {number} Length of the tag in bytes, 0 if there is none
+ */
+function id3Length(data) {
+  if (data.toString('latin1', 0, 3) !== 'ID3') {
+    return 0;
+  }
+  return 10 + ((data[6] << 21) | (data[7] << 14) | (data[8] << 7) | data[9]);
+}
+
+/**
+ * Lower the global gain of one granule channel in the side information of a frame
+ * @param {Buffer} data - The MP3 file
+ * @param {number} offset - Offset of the side information
+ * @param {number} bit - Bit position of the granule channel within the side information
+ * @param {number} steps - Number of 1.5 dB steps to lower the gain
+ */
+function lowerGlobalGain(data, offset, bit, steps) {
+  // global_gain follows part2_3_length (12 bits) and big_values (9 bits)
+  const gainBit = bit + 21;
+  const byte = offset + (gainBit >> 3);
+  const shift = gainBit & 7;
+
+  const word = (data[byte] << 8) | data[byte + 1];
+  const gain = (word >> (8 - shift)) & 0xff;
+  const lowered = Math.max(gain - steps, 0);
+  const next = (word & ~(0xff << (8 - shift))) | (lowered << (8 - shift));
+
+  data[byte] = next >> 8;
+  data[byte + 1] = next & 0xff;
+}
+
+/**
+ * Copy an MP3 file with its volume lowered
+ * @param {Buffer} source - The MP3 file, MPEG-1 Layer III
+ * @param {number} steps - Number of 1.5 dB steps to lower the volume
+ * @returns {Buffer} The quieter MP3 file
+ */
+function lowerVolume(source, steps) {
+  const data = Buffer.from(source);
+  let offset = id3Length(data);
+  let frames = 0;
+
+  while (offset + 4 <= data.length && data[offset] === 0xff && (data[offset + 1] & 0xfe) === 0xfa) {
+    const protection = data[offset + 1] & 1;
+    const bitrate = BITRATES[data[offset + 2] >> 4];
+    const sampleRate = SAMPLE_RATES[(data[offset + 2] >> 2) & 3];
+    const padding = (data[offset + 2] >> 1) & 1;
+    const mono = (data[offset + 3] >> 6) === 3;
+
+    if (!bitrate || !sampleRate) {
+      throw new Error(`Unsupported MP3 frame at offset ${offset}`);
+    }
+
+    // Side information starts with main_data_begin and the private and scfsi bits
+    const sideInfo = offset + 4 + (protection ? 0 : 2);
+    const channels = mono ? 1 : 2;
+    const headerBits = mono ? 18 : 20;
+    for (let granule = 0; granule < 2; granule++) {
+      for (let channel = 0; channel < channels; channel++) {
+        lowerGlobalGain(data, sideInfo, headerBits + (granule * channels + channel) * 59, steps);
+      }
+    }
+
+    offset += Math.floor((144000 * bitrate) / sampleRate) + padding;
+    frames++;
+  }
+
+  if (frames === 0) {
+    throw new Error('No MPEG-1 Layer III frames found');
+  }
+  return data;
+}
+
+SIGNALS.forEach((signal) => {
+  const source = fs.readFileSync(path.join(SOUNDS, `${signal}.mp3`));
+
+  Object.entries(LEVELS).forEach(([level, steps]) => {
+    fs.writeFileSync(path.join(SOUNDS, `${signal}-${level}.mp3`), lowerVolume(source, steps));
+    console.log(`Wrote ${signal}-${level}.mp3 (-${steps * 1.5} dB)`);
+  });
+});
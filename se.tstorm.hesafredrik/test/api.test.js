@@ -0,0 +1,85 @@
+'use strict';
+
+const {
+  describe, it, beforeEach, afterEach,
+} = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRuntime } = require('./helpers/homey');
+const MockVmaServer = require('./mock-server');
+const { SCENARIOS } = require('./fixtures/scenarios');
+const api = require('../api');
+
+describe('Web API', () => {
+  let server;
+  let runtime;
+  let stockholm;
+  let several;
+
+  beforeEach(async () => {
+    server = new MockVmaServer();
+    await server.start();
+    runtime = await createRuntime({
+      settings: { api_base_url: server.baseUrl, test_api_base_url: server.testBaseUrl },
+    });
+    stockholm = await runtime.addDevice({ data: { id: '0180' } });
+    several = await runtime.addDevice({
+      data: { id: 'multi-1704110400000' },
+      settings: { area_codes: '0180, 1280' },
+    });
+    await several.updateAvailability();
+
+    server.play(SCENARIOS.alert[0]);
+    await runtime.app.fetchAndDistributeAlerts();
+  });
+
+  afterEach(async () => {
+    await runtime.stop();
+    await server.stop();
+  });
+
+  it('lists the devices by ID', async () => {
+    const devices = await api.getDevices({ homey: runtime.homey });
+
+    assert.deepEqual(devices.map((device) => [device.id, device.driver]), [
+      ['0180', 'vma'],
+      ['multi-1704110400000', 'vma'],
+    ]);
+    assert.equal(devices[1].incidents[0].id, 'SRVMA20240101120000I');
+  });
+
+  it('returns the incidents of a device by its ID', async () => {
+    await stockholm.clearIncidents();
+
+    const incidents = await api.getDeviceIncidents({ homey: runtime.homey, params: { id: 'multi-1704110400000' } });
+
+    assert.equal(incidents.length, 1);
+    assert.equal(incidents[0].alert.identifier, 'SRVMA20240101120000I');
+    assert.deepEqual(await api.getDeviceIncidents({ homey: runtime.homey, params: { id: '0180' } }), []);
+    await assert.rejects(api.getDeviceIncidents({ homey: runtime.homey, params: { id: '1280' } }), /No VMA device/);
+  });
+
+  it('returns the history and alerts of the last fetch', async () => {
+    const history = await api.getHistory({ homey: runtime.homey, query: { limit: '1', area: '0180' } });
+    const alerts = await api.getAlerts({ homey: runtime.homey });
+
+    assert.equal(history.length, 1);
+    assert.equal(history[0].device.areaCode, '0180');
+    assert.equal(alerts.production.alerts[0].identifier, 'SRVMA20240101120000I');
+  });
+
+  it('fetches alerts on refresh', async () => {
+    const status = await api.refresh({ homey: runtime.homey });
+
+    assert.deepEqual(server.requests, ['GET /api/v3/alerts', 'GET /api/v3/alerts']);
+    assert.equal(status.lastFetch.ok, true);
+  });
+
+  it('adds and removes alert sources', async () => {
+    const source = await api.addSource({ homey: runtime.homey, body: { name: 'Mirror', alertsUrl: `${server.baseUrl}/alerts` } });
+    const sources = await api.removeSource({ homey: runtime.homey, params: { id: source.id } });
+
+    assert.equal(source.name, 'Mirror');
+    assert.equal(sources.some((candidate) => candidate.id === source.id), false);
+  });
+});
@@ -0,0 +1,244 @@
+'use strict';
+
+const {
+  describe, it, beforeEach, afterEach,
+} = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRuntime } = require('./helpers/homey');
+const MockVmaServer = require('./mock-server');
+const { SCENARIOS, capAlert, ALERT } = require('./fixtures/scenarios');
+
+const MODERATE_UPDATE = capAlert({
+  identifier: 'SRVMA20240101123000U',
+  msgType: 'Update',
+  references: `https://vmaapi.sr.se,${ALERT.identifier},${ALERT.sent}`,
+  sent: new Date(Date.parse(ALERT.sent) + 30 * 60 * 1000).toISOString(),
+  severity: 'Moderate',
+});
+
+describe('fetchAndDistributeAlerts', () => {
+  let server;
+  let runtime;
+  let stockholm;
+  let malmo;
+
+  beforeEach(async () => {
+    server = new MockVmaServer();
+    await server.start();
+    runtime = await createRuntime({
+      settings: { api_base_url: server.baseUrl, test_api_base_url: server.testBaseUrl },
+    });
+    stockholm = await runtime.addDevice({ data: { id: '0180' } });
+    malmo = await runtime.addDevice({ data: { id: '1280' } });
+  });
+
+  afterEach(async () => {
+    await runtime.stop();
+    await server.stop();
+  });
+
+  it('fetches alerts from the configured base URL', async () => {
+    await runtime.app.fetchAndDistributeAlerts();
+
+    assert.deepEqual(server.requests, ['GET /api/v3/alerts']);
+    assert.equal(runtime.app.getEndpointUrl('test', 'subscribe'), `${server.testBaseUrl}/subscribe`);
+  });
+
+  it('fetches test alerts only for devices in test mode', async () => {
+    await stockholm.setSettings({ test_mode: true });
+    await runtime.app.fetchAndDistributeAlerts();
+
+    assert.deepEqual(server.requests.sort(), ['GET /api/v3/alerts', 'GET /testapi/v3/alerts']);
+  });
+
+  it('triggers a new alert on devices in the alert area only', async () => {
+    server.play(SCENARIOS.alert[0]);
+    await runtime.app.fetchAndDistributeAlerts();
+
+    const triggers = runtime.triggers('vma_trigger');
+    assert.equal(triggers.length, 1);
+    assert.equal(triggers[0].device, stockholm);
+    assert.equal(triggers[0].tokens.incident_id, 'SRVMA20240101120000I');
+    assert.equal(triggers[0].tokens.event, 'Fire');
+    assert.equal(triggers[0].tokens.matched_areas, 'Stockholm');
+    assert.equal(stockholm.getCapabilityValue('alarm_generic'), true);
+    assert.equal(malmo.getCapabilityValue('alarm_generic'), false);
+  });
+
+  it('records a summary of the alert in the history', async () => {
+    server.play(SCENARIOS.alert[0]);
+    await runtime.app.fetchAndDistributeAlerts();
+
+    const [entry] = runtime.app.getAlertHistory();
+    assert.equal(entry.identifier, 'SRVMA20240101120000I');
+    assert.equal(entry.msgType, 'Alert');
+    assert.equal(entry.event, 'Fire');
+    assert.equal(entry.area, 'Stockholm');
+    assert.equal(entry.expires, ALERT.info[1].expires);
+    assert.equal('alert' in entry, false);
+  });
+
+  it('triggers a new alert once while it stays in the alert list', async () => {
+    server.play(SCENARIOS.alert[0]);
+    await runtime.app.fetchAndDistributeAlerts();
+    await runtime.app.fetchAndDistributeAlerts();
+
+    assert.equal(runtime.triggers('vma_trigger').length, 1);
+  });
+
+  it('triggers an update with the changed fields', async () => {
+    const [initial, update] = SCENARIOS.update;
+    server.play(initial);
+    await runtime.app.fetchAndDistributeAlerts();
+    server.play(update);
+    await runtime.app.fetchAndDistributeAlerts();
+
+    const triggers = runtime.triggers('vma_update_trigger');
+    assert.equal(triggers.length, 1);
+    assert.equal(triggers[0].tokens.severity, 'Extreme');
+    assert.match(triggers[0].tokens.changes, /severity/);
+    assert.equal(stockholm.incidents.SRVMA20240101120000I.identifier, 'SRVMA20240101123000U');
+  });
+
+  it('ends incidents that no longer pass tightened filters', async () => {
+    server.play(SCENARIOS.alert[0]);
+    await runtime.app.fetchAndDistributeAlerts();
+    await stockholm.changeSettings({ filter_min_severity: 'Extreme' });
+    await runtime.app.fetchAndDistributeAlerts();
+
+    const [ended] = runtime.triggers('vma_cancel_trigger');
+    assert.equal(ended.tokens.reason, 'filtered');
+    assert.deepEqual(stockholm.incidents, {});
+    assert.equal(stockholm.getCapabilityValue('alarm_generic'), false);
+    assert.equal(runtime.triggers('vma_trigger').length, 1);
+  });
+
+  it('ends the incident when its update is filtered out', async () => {
+    await stockholm.setSettings({ filter_min_severity: 'Severe' });
+    server.play(SCENARIOS.alert[0]);
+    await runtime.app.fetchAndDistributeAlerts();
+    server.play({ alerts: [MODERATE_UPDATE] });
+    await runtime.app.fetchAndDistributeAlerts();
+
+    assert.equal(runtime.triggers('vma_update_trigger').length, 0);
+    assert.equal(runtime.triggers('vma_cancel_trigger')[0].tokens.reason, 'filtered');
+    assert.deepEqual(stockholm.incidents, {});
+  });
+
+  it('ends the incident when the alert is cancelled', async () => {
+    for (const step of SCENARIOS.cancel) {
+      server.play(step);
+      await runtime.app.fetchAndDistributeAlerts();
+    }
+
+    const triggers = runtime.triggers('vma_cancel_trigger');
+    assert.equal(triggers.length, 1);
+    assert.equal(triggers[0].tokens.reason, 'cancelled');
+    assert.deepEqual(stockholm.incidents, {});
+    assert.equal(stockholm.getCapabilityValue('alarm_generic'), false);
+  });
+
+  it('keeps a cleared incident cleared until its alert is no longer listed', async () => {
+    server.play(SCENARIOS.alert[0]);
+    await runtime.app.fetchAndDistributeAlerts();
+    await stockholm.clearIncidents();
+    await runtime.app.fetchAndDistributeAlerts();
+
+    assert.equal(runtime.triggers('vma_trigger').length, 1);
+    assert.deepEqual(stockholm.incidents, {});
+    assert.equal(stockholm.getCapabilityValue('alarm_generic'), false);
+
+    server.play({ alerts: [] });
+    await runtime.app.fetchAndDistributeAlerts();
+    server.play(SCENARIOS.alert[0]);
+    await runtime.app.fetchAndDistributeAlerts();
+
+    assert.equal(runtime.triggers('vma_trigger').length, 2);
+    assert.equal(stockholm.getCapabilityValue('alarm_generic'), true);
+  });
+
+  it('keeps incidents when the alert list is malformed', async () => {
+    for (const step of SCENARIOS.malformed) {
+      server.play(step);
+      await runtime.app.fetchAndDistributeAlerts();
+      await runtime.app.fetchAndDistributeAlerts();
+    }
+
+    assert.deepEqual(Object.keys(stockholm.incidents), ['SRVMA20240101120000I']);
+    assert.equal(runtime.triggers('vma_cancel_trigger').length, 0);
+    assert.equal(runtime.app.getStatus().lastFetch.ok, false);
+  });
+
+  it('stops fetching after five fetches in a row where no source answered', async () => {
+    server.play({ malformed: true });
+    for (let i = 0; i < 5; i++) {
+      await runtime.app.fetchAndDistributeAlerts();
+    }
+
+    assert.equal(runtime.app.getStatus().circuitBreaker.open, true);
+    await runtime.app.fetchAndDistributeAlerts();
+    assert.equal(server.requests.length, 5);
+  });
+
+  it('ends incidents missing from consecutive complete alert lists', async () => {
+    server.play(SCENARIOS.alert[0]);
+    await runtime.app.fetchAndDistributeAlerts();
+    server.play({ alerts: [] });
+    await runtime.app.fetchAndDistributeAlerts();
+
+    assert.equal(runtime.triggers('vma_cancel_trigger').length, 0);
+
+    await runtime.app.fetchAndDistributeAlerts();
+
+    const triggers = runtime.triggers('vma_cancel_trigger');
+    assert.equal(triggers.length, 1);
+    assert.equal(triggers[0].tokens.reason, 'removed');
+  });
+
+  it('delivers county alerts to municipalities and county devices', async () => {
+    const county = await runtime.addDevice({ data: { id: '01' } });
+    server.play({ alerts: [capAlert({ geocode: '01', areaDesc: 'Stockholms län' })] });
+    await runtime.app.fetchAndDistributeAlerts();
+
+    const devices = runtime.triggers('vma_trigger').map((trigger) => trigger.device);
+    assert.deepEqual(devices, [stockholm, county]);
+  });
+
+  it('matches polygon alerts on the location in the first area and on area code in the others', async () => {
+    const several = await runtime.addDevice({
+      data: { id: 'multi-1704110400000' },
+      settings: { area_codes: '0180, 1280', location_point: '59.3293,18.0686' },
+    });
+    server.play({
+      alerts: [
+        capAlert({
+          identifier: 'SRVMA20240101120000I',
+          polygon: '59.40,18.20 59.40,18.30 59.50,18.30 59.50,18.20 59.40,18.20',
+        }),
+        capAlert({
+          identifier: 'SRVMA20240101121000I',
+          incidents: 'SRVMA20240101121000I',
+          geocode: '1280',
+          areaDesc: 'Malmö',
+          polygon: '55.50,12.90 55.50,13.10 55.70,13.10 55.70,12.90 55.50,12.90',
+        }),
+      ],
+    });
+    await runtime.app.fetchAndDistributeAlerts();
+
+    const triggers = runtime.triggers('vma_trigger').filter((trigger) => trigger.device === several);
+    assert.equal(triggers.length, 1);
+    assert.equal(triggers[0].tokens.incident_id, 'SRVMA20240101121000I');
+    assert.equal(triggers[0].tokens.matched_areas, 'Malmö');
+  });
+
+  it('ignores alerts while a device is turned off', async () => {
+    await stockholm.triggerCapabilityListener('onoff', false);
+    server.play(SCENARIOS.alert[0]);
+    await runtime.app.fetchAndDistributeAlerts();
+
+    assert.equal(runtime.triggers('vma_trigger').length, 0);
+    assert.deepEqual(stockholm.incidents, {});
+  });
+});
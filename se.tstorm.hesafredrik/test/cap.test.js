@@ -0,0 +1,160 @@
+'use strict';
+
+const {
+  describe, it, beforeEach, afterEach,
+} = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { createRuntime } = require('./helpers/homey');
+const MockVmaServer = require('./mock-server');
+const { parseXml } = require('../lib/xml');
+const { parseCapXml } = require('../lib/cap');
+
+/**
+ * Read a CAP fixture file
+ * @param {string} name - File name in fixtures/cap
+ * @returns {string} The XML document
+ */
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'cap', name), 'utf8');
+}
+
+describe('parseXml', () => {
+  it('reads elements, attributes, entities and CDATA', () => {
+    const root = parseXml('<?xml version="1.0"?><!DOCTYPE a [<!ENTITY x "y">]><a b=\'1 &amp; 2\'><c>&lt;&#229;&#xE4;&gt;</c><d><![CDATA[<&>]]></d><e/></a>');
+
+    assert.equal(root.attributes.b, '1 & 2');
+    assert.deepEqual(root.children.map((child) => [child.name, child.text]), [['c', '<åä>'], ['d', '<&>'], ['e', '']]);
+  });
+
+  it('rejects malformed documents', () => {
+    assert.throws(() => parseXml('<a><b></a>'), /end tag/);
+    assert.throws(() => parseXml('<a>'), /Unclosed/);
+    assert.throws(() => parseXml('<a/><b/>'), /single root/);
+    assert.throws(() => parseXml('<a>&nbsp;</a>'), /entity/);
+  });
+});
+
+describe('parseCapXml', () => {
+  it('normalizes a CAP alert to the shape of the VMA API', () => {
+    const { alerts, links } = parseCapXml(fixture('alert.xml'));
+    const [alert] = alerts;
+
+    assert.deepEqual(links, []);
+    assert.equal(alert.identifier, 'SRVMA20240301090000I');
+    assert.equal(alert.msgType, 'Alert');
+    assert.deepEqual(alert.code, ['VMA']);
+    assert.deepEqual(alert.info.map((info) => info.language), ['sv-SE', 'en-US']);
+    assert.deepEqual(alert.info[0].eventCode, [{ valueName: 'SE-VMA', value: 'GAS' }]);
+    assert.equal(alert.info[0].description, 'Gasutsläpp i Solna & Stockholm. Gå inomhus, stäng dörrar, fönster och ventilation.');
+    assert.equal(alert.info[1].description, 'Gas leak in Solna & Stockholm. Go indoors, close doors, windows and ventilation.');
+  });
+
+  it('gives each geocode of an area its own area', () => {
+    const [alert] = parseCapXml(fixture('alert.xml')).alerts;
+
+    assert.deepEqual(alert.info[0].area, [
+      {
+        areaDesc: 'Stockholms län',
+        polygon: ['59.35,18.00 59.38,18.00 59.38,18.05 59.35,18.05 59.35,18.00'],
+        geocode: '0180',
+      },
+      {
+        areaDesc: 'Stockholms län',
+        polygon: ['59.35,18.00 59.38,18.00 59.38,18.05 59.35,18.05 59.35,18.00'],
+        geocode: '0184',
+      },
+    ]);
+  });
+
+  it('leaves out geocodes that are not Swedish area codes', () => {
+    const [alert] = parseCapXml(`<alert>
+      <identifier>EXAMPLE-1</identifier><sent>2024-03-01T09:00:00+01:00</sent><status>Actual</status><msgType>Alert</msgType>
+      <info><area><areaDesc>Solna</areaDesc>
+        <geocode><valueName>NUTS3</valueName><value>SE110</value></geocode>
+        <geocode><valueName>Kommun</valueName><value>0184</value></geocode>
+      </area></info>
+      <info><area><areaDesc>Elsewhere</areaDesc><geocode><valueName>EMMA_ID</valueName><value>0180</value></geocode></area></info>
+    </alert>`).alerts;
+
+    assert.deepEqual(alert.info[0].area, [{ areaDesc: 'Solna', geocode: '0184' }]);
+    assert.deepEqual(alert.info[1].area, [{ areaDesc: 'Elsewhere' }]);
+  });
+
+  it('gives info blocks without a description or levels empty ones', () => {
+    const [alert] = parseCapXml(`<alert>
+      <identifier>EXAMPLE-1</identifier><sent>2024-03-01T09:00:00+01:00</sent><status>Actual</status><msgType>Alert</msgType>
+      <info><headline>Brand</headline></info>
+    </alert>`).alerts;
+
+    assert.equal(alert.info[0].description, '');
+    assert.equal(alert.info[0].severity, '');
+    assert.equal(alert.info[0].urgency, '');
+    assert.equal(alert.info[0].event, '');
+  });
+
+  it('reads alerts with a namespace prefix', () => {
+    const [alert] = parseCapXml(fixture('cancel.xml')).alerts;
+
+    assert.equal(alert.msgType, 'Cancel');
+    assert.equal(alert.references, 'https://vmaapi.sr.se,SRVMA20240301090000I,2024-03-01T09:00:00+01:00');
+    assert.equal(alert.info[0].area[0].geocode, '0180');
+  });
+
+  it('reads embedded and linked alerts of an Atom feed', () => {
+    const { alerts, links } = parseCapXml(fixture('feed.xml'), 'http://example.se/cap/feed.xml');
+
+    assert.deepEqual(alerts.map((alert) => alert.identifier), ['EXAMPLE-2024-0042']);
+    assert.equal(alerts[0].info[0].language, 'en-US');
+    assert.deepEqual(alerts[0].info[0].area[0].circle, ['59.86,17.64 5']);
+    assert.deepEqual(links, ['http://example.se/cap/alert.xml']);
+  });
+
+  it('rejects documents that are not CAP', () => {
+    assert.throws(() => parseCapXml('<rss><channel/></rss>'), /Not a CAP alert/);
+    assert.throws(() => parseCapXml('<alert><sender>x</sender></alert>'), /missing identifier/);
+    assert.throws(() => parseCapXml('<feed><entry><id>1</id></entry></feed>'), /no CAP alert/);
+  });
+});
+
+describe('CAP sources', () => {
+  let server;
+  let runtime;
+  let stockholm;
+  let uppsala;
+
+  beforeEach(async () => {
+    server = new MockVmaServer();
+    await server.start();
+    runtime = await createRuntime({
+      settings: { api_base_url: server.baseUrl, test_api_base_url: server.testBaseUrl },
+    });
+    runtime.app.addSource({ name: 'Feed', alertsUrl: `${server.capBaseUrl}/feed.xml`, format: 'cap' });
+    stockholm = await runtime.addDevice({ data: { id: '0180' }, settings: { sources: 'feed' } });
+    uppsala = await runtime.addDevice({ data: { id: '0380' }, settings: { sources: 'feed' } });
+  });
+
+  afterEach(async () => {
+    await runtime.stop();
+    await server.stop();
+  });
+
+  it('distributes alerts of a CAP feed and the alerts it links to', async () => {
+    await runtime.app.fetchAndDistributeAlerts();
+
+    assert.ok(server.requests.includes('GET /cap/alert.xml'));
+    assert.deepEqual(Object.keys(stockholm.incidents), ['SRVMA20240301090000I']);
+    assert.deepEqual(Object.keys(uppsala.incidents), ['EXAMPLE-2024-0042']);
+    assert.equal(runtime.triggers('vma_trigger').length, 2);
+  });
+
+  it('fails the fetch when the feed cannot be read', async () => {
+    runtime.app.removeSource('feed');
+    runtime.app.addSource({ name: 'Feed', alertsUrl: `${server.capBaseUrl}/missing.xml`, format: 'cap' });
+    await runtime.app.fetchAndDistributeAlerts();
+
+    assert.equal(runtime.app.getStatus().endpoints.feed.lastFetch.ok, false);
+  });
+});
@@ -0,0 +1,382 @@
+'use strict';
+
+const {
+  describe, it, beforeEach, afterEach,
+} = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRuntime } = require('./helpers/homey');
+const { waitFor } = require('./helpers/wait');
+const { capAlert, ALERT, UPDATE } = require('./fixtures/scenarios');
+
+const MODERATE = capAlert({ severity: 'Moderate' });
+
+const EXPIRED = capAlert({
+  sent: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+  expires: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+});
+
+const LATER_MODERATE = capAlert({
+  identifier: 'SRVMA20240101130000I',
+  incidents: 'SRVMA20240101130000I',
+  sent: new Date(Date.now() + 60 * 1000).toISOString(),
+  severity: 'Moderate',
+});
+
+/**
+ * Format a time of day in Stockholm, offset from now
+ * @param {number} minutes - Offset from now in minutes
+ * @returns {string} Time of day as HH:MM
+ */
+function timeOfDay(minutes) {
+  return new Date(Date.now() + minutes * 60 * 1000).toLocaleTimeString('en-GB', {
+    timeZone: 'Europe/Stockholm',
+    hour12: false,
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+describe('VMA device', () => {
+  let runtime;
+  let device;
+
+  beforeEach(async () => {
+    runtime = await createRuntime();
+    device = await runtime.addDevice({ data: { id: '0180' } });
+  });
+
+  afterEach(async () => {
+    await runtime.stop();
+  });
+
+  describe('several areas', () => {
+    it('is unavailable and watches nothing until areas are entered', async () => {
+      const multi = await runtime.addDevice({ data: { id: 'multi-1704110400000' } });
+
+      assert.equal(multi.getAvailable(), false);
+      assert.deepEqual(multi.getAreaCodes(), []);
+      await assert.rejects(multi.changeSettings({ area_codes: ' ' }), /codes to watch/);
+
+      await multi.setSettings({ area_codes: '0380, 0188' });
+      await multi.updateAvailability();
+
+      assert.equal(multi.getAvailable(), true);
+      assert.deepEqual(multi.getAreaCodes(), ['0380', '0188']);
+    });
+  });
+
+  describe('filters', () => {
+    it('passes alerts with the default settings', () => {
+      assert.equal(device.getFilterReason(ALERT), null);
+    });
+
+    it('filters alerts below the minimum severity', async () => {
+      await device.setSettings({ filter_min_severity: 'Extreme' });
+
+      assert.equal(device.getFilterReason(ALERT), 'severity');
+      assert.equal(device.getFilterReason(capAlert({ severity: 'Extreme' })), null);
+    });
+
+    it('filters exercises when they are turned off', async () => {
+      await device.setSettings({ filter_exercise: false });
+
+      assert.equal(device.getFilterReason(capAlert({ status: 'Exercise' })), 'exercise');
+    });
+
+    it('filters on included and excluded events', async () => {
+      await device.setSettings({ filter_include_events: 'Gas, Vatten' });
+      assert.equal(device.getFilterReason(ALERT), 'event');
+
+      await device.setSettings({ filter_include_events: '', filter_exclude_events: 'fire' });
+      assert.equal(device.getFilterReason(ALERT), 'event');
+    });
+
+    it('records filtered alerts in the history without triggering', async () => {
+      await device.setSettings({ filter_min_urgency: 'Future', filter_min_certainty: 'Observed' });
+      await device.processAlerts([capAlert({ urgency: 'Past' })], { authoritative: true });
+
+      assert.equal(runtime.triggers('vma_trigger').length, 0);
+      assert.equal(runtime.app.alertHistory.get()[0].filterReason, 'urgency');
+    });
+  });
+
+  describe('quiet hours', () => {
+    beforeEach(async () => {
+      await device.setSettings({
+        quiet_hours_enabled: true,
+        quiet_hours_start: timeOfDay(-60),
+        quiet_hours_end: timeOfDay(60),
+      });
+    });
+
+    it('counts the minutes left of quiet hours across midnight', async () => {
+      await device.setSettings({ quiet_hours_start: '22:00', quiet_hours_end: '07:00' });
+
+      assert.equal(device.getQuietMinutesLeft(new Date('2024-01-01T22:30:00Z')), 7 * 60 + 30);
+      assert.equal(device.getQuietMinutesLeft(new Date('2024-01-01T12:00:00Z')), 0);
+    });
+
+    it('defers alerts below the quiet hours severity', async () => {
+      await device.processAlerts([MODERATE], { authoritative: true });
+
+      assert.equal(runtime.triggers('vma_trigger').length, 0);
+      assert.equal(device.isIncidentDeferred(MODERATE.incidents), true);
+      assert.equal(device.getCapabilityValue('alarm_generic'), false);
+    });
+
+    it('delivers a deferred incident right away when an update raises its severity', async () => {
+      await device.processAlerts([MODERATE], { authoritative: true });
+      await device.processAlerts([UPDATE], { authoritative: true });
+
+      const [trigger] = runtime.triggers('vma_trigger');
+      assert.equal(trigger.tokens.deferred, true);
+      assert.equal(runtime.triggers('vma_update_trigger').length, 0);
+      assert.equal(device.isIncidentDeferred(MODERATE.incidents), false);
+      assert.equal(device.getCapabilityValue('alarm_generic'), true);
+    });
+
+    it('delivers severe alerts right away', async () => {
+      await device.processAlerts([ALERT], { authoritative: true });
+
+      const [trigger] = runtime.triggers('vma_trigger');
+      assert.equal(trigger.tokens.deferred, false);
+    });
+
+    it('leaves deferred alerts out of conditions, speech and re-announcements', async () => {
+      await device.processAlerts([MODERATE], { authoritative: true });
+
+      assert.equal(await runtime.homey.flow.getCard('has_active_vma').runListener({ device }), false);
+      await assert.rejects(device.speakLatestIncident(), /no active VMA/);
+      await assert.rejects(device.reannounceLatestIncident(), /no active VMA/);
+      assert.equal(runtime.triggers('vma_trigger').length, 0);
+    });
+
+    it('re-announces the latest delivered alert while a newer one is deferred', async () => {
+      await device.processAlerts([ALERT, LATER_MODERATE], { authoritative: true });
+      await device.reannounceLatestIncident();
+
+      const triggers = await waitFor(() => runtime.triggers('vma_trigger').length === 2 && runtime.triggers('vma_trigger'), {
+        description: 're-announced vma_trigger',
+      });
+      assert.equal(triggers[1].tokens.incident_id, ALERT.incidents);
+      assert.equal(triggers[1].tokens.deferred, false);
+      assert.equal(device.isIncidentDeferred(LATER_MODERATE.incidents), true);
+    });
+
+    it('delivers deferred alerts once quiet hours end', async () => {
+      await device.processAlerts([MODERATE], { authoritative: true });
+      await device.changeSettings({ quiet_hours_enabled: false });
+
+      const [trigger] = await waitFor(() => runtime.triggers('vma_trigger').length && runtime.triggers('vma_trigger'), {
+        description: 'deferred vma_trigger',
+      });
+      assert.equal(trigger.tokens.deferred, true);
+      assert.equal(device.isIncidentDeferred(MODERATE.incidents), false);
+    });
+  });
+
+  describe('expiry', () => {
+    it('ends incidents that expired while the app was not running', async () => {
+      const stored = await runtime.addDevice({
+        data: { id: '1280' },
+        store: { onoff: true, incidents: { [EXPIRED.incidents]: EXPIRED } },
+        capabilities: { onoff: true, alarm_generic: true },
+      });
+
+      const [trigger] = await waitFor(() => runtime.triggers('vma_cancel_trigger').length && runtime.triggers('vma_cancel_trigger'), {
+        description: 'vma_cancel_trigger for the expired incident',
+      });
+      assert.equal(trigger.device, stored);
+      assert.equal(trigger.tokens.reason, 'expired');
+      assert.deepEqual(stored.incidents, {});
+      assert.equal(stored.getCapabilityValue('alarm_generic'), false);
+    });
+
+    it('ends an incident when its alert expires', async () => {
+      await device.processAlerts([capAlert({ expires: new Date(Date.now() + 50).toISOString() })], { authoritative: true });
+
+      assert.equal(device.getCapabilityValue('alarm_generic'), true);
+      const [trigger] = await waitFor(() => runtime.triggers('vma_cancel_trigger').length && runtime.triggers('vma_cancel_trigger'), {
+        description: 'vma_cancel_trigger when the alert expires',
+      });
+      assert.equal(trigger.tokens.reason, 'expired');
+      assert.deepEqual(device.incidents, {});
+      assert.equal(device.getCapabilityValue('alarm_generic'), false);
+    });
+
+    it('ignores alerts that have already expired', async () => {
+      await device.processAlerts([EXPIRED], { authoritative: true });
+
+      assert.equal(runtime.triggers('vma_trigger').length, 0);
+      assert.deepEqual(device.incidents, {});
+    });
+  });
+
+  describe('conditions', () => {
+    const condition = (id, args) => runtime.homey.flow.getCard(id).runListener({ device, ...args });
+
+    it('match the active alerts', async () => {
+      assert.equal(await condition('has_active_vma'), false);
+
+      await device.processAlerts([ALERT], { authoritative: true });
+
+      assert.equal(await condition('has_active_vma'), true);
+      assert.equal(await condition('active_vma_status', { status: 'Actual' }), true);
+      assert.equal(await condition('active_vma_status', { status: 'Exercise' }), false);
+      assert.equal(await condition('active_vma_severity', { severity: 'Severe' }), true);
+      assert.equal(await condition('active_vma_severity', { severity: 'Extreme' }), false);
+      assert.equal(await condition('active_vma_urgency', { urgency: 'Immediate' }), true);
+      assert.equal(await condition('active_vma_event', { event: 'fire' }), true);
+      assert.equal(await condition('active_vma_event', { event: 'flood' }), false);
+    });
+
+    it('no longer match once the incident has ended', async () => {
+      await device.processAlerts([ALERT], { authoritative: true });
+      await device.endIncidents([ALERT.incidents], 'cancelled');
+
+      assert.equal(await condition('has_active_vma'), false);
+    });
+  });
+
+  describe('notifications', () => {
+    beforeEach(async () => {
+      await device.setSettings({ notify_enabled: true });
+    });
+
+    it('notifies of new alerts when turned on', async () => {
+      await device.processAlerts([ALERT], { authoritative: true });
+
+      assert.equal(runtime.homey.notifications.created.length, 1);
+    });
+
+    it('does not notify while the device is turned off', async () => {
+      await device.processAlerts([ALERT], { authoritative: true });
+      await device.triggerCapabilityListener('onoff', false);
+      await device.clearIncidents();
+
+      assert.equal(runtime.homey.notifications.created.length, 1);
+    });
+  });
+
+  describe('siren', () => {
+    it('plays the signal at the device volume without waiting for playback to end', async () => {
+      const played = [];
+      runtime.homey.audio.playMp3 = (sampleId, filePath) => {
+        played.push(filePath);
+        return new Promise(() => {});
+      };
+      await device.setSettings({ siren_auto: true, siren_volume: 'low' });
+      await device.processAlerts([ALERT], { authoritative: true });
+
+      assert.equal(runtime.triggers('vma_trigger').length, 1);
+      assert.equal(played.length, 1);
+      assert.match(played[0], /viktigt-meddelande-low\.mp3$/);
+    });
+
+    it('sounds no all-clear while the device is turned off', async () => {
+      const played = [];
+      runtime.homey.audio.playMp3 = async (sampleId, filePath) => played.push(filePath);
+      await device.setSettings({ siren_auto: true });
+      await device.processAlerts([ALERT], { authoritative: true });
+      await device.triggerCapabilityListener('onoff', false);
+      await device.endIncidents([ALERT.incidents], 'expired');
+
+      assert.equal(played.length, 1);
+      assert.match(played[0], /viktigt-meddelande\.mp3$/);
+    });
+
+    it('sounds no all-clear and sends no notification when incidents are cleared', async () => {
+      const played = [];
+      runtime.homey.audio.playMp3 = async (sampleId, filePath) => played.push(filePath);
+      await device.setSettings({ siren_auto: true, notify_enabled: true });
+      await device.processAlerts([ALERT], { authoritative: true });
+      await device.clearIncidents();
+
+      assert.equal(runtime.triggers('vma_cancel_trigger')[0].tokens.reason, 'cleared');
+      assert.equal(played.length, 1);
+      assert.equal(runtime.homey.notifications.created.length, 1);
+    });
+  });
+
+  describe('speech', () => {
+    it('resumes repeating active alerts after a restart', async () => {
+      const restarted = await runtime.addDevice({
+        data: { id: '0180' },
+        settings: { speech_auto: true, speech_repeat_interval: 5 },
+        store: { incidents: { [ALERT.incidents]: ALERT } },
+      });
+
+      assert.notEqual(restarted._speechRepeatTimer, null);
+    });
+
+    it('does not resume repeating on a device that was turned off', async () => {
+      const restarted = await runtime.addDevice({
+        data: { id: '0180' },
+        settings: { speech_auto: true, speech_repeat_interval: 5 },
+        store: { incidents: { [ALERT.incidents]: ALERT }, onoff: false },
+      });
+
+      assert.equal(restarted._speechRepeatTimer, null);
+    });
+
+    it('starts repeating when the interval is set while an alert is active', async () => {
+      await device.setSettings({ speech_auto: true, speech_repeat_interval: 0 });
+      await device.processAlerts([ALERT], { authoritative: true });
+      assert.equal(device._speechRepeatTimer, null);
+
+      await device.changeSettings({ speech_repeat_interval: 5 });
+
+      assert.notEqual(device._speechRepeatTimer, null);
+    });
+
+    it('stays silent while the device is turned off', async () => {
+      await device.setSettings({ speech_auto: true, speech_repeat_interval: 5 });
+      await device.processAlerts([ALERT], { authoritative: true });
+      assert.equal(runtime.homey.speechOutput.said.length, 1);
+
+      await device.triggerCapabilityListener('onoff', false);
+      assert.equal(device._speechRepeatTimer, null);
+
+      await device.announce('updated', ALERT);
+      device.startSpeechRepeat();
+      assert.equal(runtime.homey.speechOutput.said.length, 1);
+      assert.equal(device._speechRepeatTimer, null);
+
+      await device.triggerCapabilityListener('onoff', true);
+      assert.notEqual(device._speechRepeatTimer, null);
+    });
+  });
+
+  describe('messages', () => {
+    it('uses the English info block and default template', () => {
+      const info = device.getBestLanguageInfo(ALERT.info);
+
+      assert.equal(device.formatAlertMessage(info, ALERT), 'Large fire in central Stockholm. Keep doors and windows closed.');
+    });
+
+    it('follows the language setting', async () => {
+      await device.setSettings({ language: 'sv' });
+      const alert = capAlert({ status: 'Exercise' });
+      const info = device.getBestLanguageInfo(alert.info);
+
+      assert.match(device.formatAlertMessage(info, alert), /^Övning: Stor brand/);
+    });
+
+    it('notifies and speaks in the device language', async () => {
+      await device.setSettings({ language: 'sv', notify_enabled: true, notify_exercise: true });
+      const alert = capAlert({ status: 'Exercise' });
+      await device.processAlerts([alert], { authoritative: true });
+
+      assert.match(runtime.homey.notifications.created[0], /^\*\*VMA-övning\*\* i Stockholm: /);
+      assert.match(device.formatSpeechText(alert), /^Övning\. Brand i Stockholm\./);
+    });
+
+    it('renders the message template placeholders', async () => {
+      await device.setSettings({ message_template: '{event} ({severity}) i {area}: {unknown}' });
+      const info = device.getBestLanguageInfo(ALERT.info);
+
+      assert.equal(device.formatAlertMessage(info, ALERT), 'Fire (Severe) i Stockholm: {unknown}');
+    });
+  });
+});
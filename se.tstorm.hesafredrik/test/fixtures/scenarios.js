@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * CAP alerts in the format of the VMA API v3 and scripted scenarios of API states
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Build a CAP alert with a Swedish and an English info block
+ * @param {Object} [options] - Alert fields to override
+ * @returns {Object} The alert
+ */
+function capAlert({
+  identifier = 'SRVMA20240101120000I',
+  msgType = 'Alert',
+  status = 'Actual',
+  incidents = 'SRVMA20240101120000I',
+  references,
+  sent = new Date().toISOString(),
+  expires = new Date(Date.now() + 6 * HOUR).toISOString(),
+  geocode = '0180',
+  areaDesc = 'Stockholm',
+  polygon,
+  event = 'Brand',
+  severity = 'Severe',
+  urgency = 'Immediate',
+  certainty = 'Observed',
+  description = 'Stor brand i centrala Stockholm. Håll dörrar och fönster stängda.',
+} = {}) {
+  const area = [{ areaDesc, geocode }];
+
+  if (polygon) {
+    area[0].polygon = polygon;
+  }
+
+  const alert = {
+    identifier,
+    sender: 'https://vmaapi.sr.se',
+    sent,
+    status,
+    msgType,
+    scope: 'Public',
+    incidents,
+    info: [
+      {
+        language: 'sv-SE',
+        category: 'Safety',
+        event,
+        urgency,
+        severity,
+        certainty,
+        senderName: 'Sveriges Radio',
+        description,
+        expires,
+        area,
+      },
+      {
+        language: 'en-US',
+        category: 'Safety',
+        event: 'Fire',
+        urgency,
+        severity,
+        certainty,
+        senderName: 'Sveriges Radio',
+        description: 'Large fire in central Stockholm. Keep doors and windows closed.',
+        expires,
+        area,
+      },
+    ],
+  };
+
+  if (references) {
+    alert.references = references;
+  }
+
+  return alert;
+}
+
+const ALERT = capAlert();
+
+const UPDATE = capAlert({
+  identifier: 'SRVMA20240101123000U',
+  msgType: 'Update',
+  references: `https://vmaapi.sr.se,${ALERT.identifier},${ALERT.sent}`,
+  sent: new Date(Date.parse(ALERT.sent) + 30 * 60 * 1000).toISOString(),
+  severity: 'Extreme',
+  description: 'Branden sprider sig. Håll dörrar och fönster stängda och stäng av ventilationen.',
+});
+
+const CANCEL = capAlert({
+  identifier: 'SRVMA20240101140000C',
+  msgType: 'Cancel',
+  references: `https://vmaapi.sr.se,${ALERT.identifier},${ALERT.sent}`,
+  sent: new Date(Date.parse(ALERT.sent) + 2 * HOUR).toISOString(),
+  description: 'Faran är över.',
+});
+
+/**
+ * Scripted scenarios, each a list of steps applied in order by the mock server
+ * A step sets the alert list and/or makes the alert list malformed, then notifies
+ * SSE subscribers, or drops all SSE connections if disconnect is set
+ */
+const SCENARIOS = {
+  alert: [
+    { alerts: [ALERT] },
+  ],
+  update: [
+    { alerts: [ALERT] },
+    { alerts: [UPDATE] },
+  ],
+  cancel: [
+    { alerts: [ALERT] },
+    { alerts: [CANCEL] },
+    { alerts: [] },
+  ],
+  malformed: [
+    { alerts: [ALERT] },
+    { malformed: true },
+  ],
+  disconnect: [
+    { alerts: [ALERT] },
+    { alerts: [UPDATE], disconnect: true },
+  ],
+};
+
+module.exports = {
+  capAlert,
+  ALERT,
+  UPDATE,
+  CANCEL,
+  SCENARIOS,
+};
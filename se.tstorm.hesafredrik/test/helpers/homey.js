@@ -0,0 +1,439 @@
+/* eslint-disable max-classes-per-file */
+
+'use strict';
+
+/**
+ * Fake Homey runtime for running the app, driver and devices outside Homey
+ *
+ * Requiring this module makes require('homey') resolve to the fakes below, so it
+ * must be required before the app or driver modules.
+ */
+
+const Module = require('module');
+const { EventEmitter } = require('events');
+
+const manifest = require('../../app.json');
+const en = require('../../locales/en.json');
+const sv = require('../../locales/sv.json');
+
+const LOCALES = { en, sv };
+
+const originalResolveFilename = Module._resolveFilename;
+Module._resolveFilename = function resolveFilename(request, ...args) {
+  if (request === 'homey') {
+    return __filename;
+  }
+  return originalResolveFilename.call(this, request, ...args);
+};
+
+/**
+ * Collect default values of a driver's settings, including those in groups
+ * @param {Array} settings - Settings from the app manifest
+ * @param {Object} [defaults] - Object to add the defaults to
+ * @returns {Object} Setting defaults by id
+ */
+function settingDefaults(settings, defaults = {}) {
+  (settings || []).forEach((setting) => {
+    if (setting.type === 'group') {
+      settingDefaults(setting.children, defaults);
+    } else if (setting.id) {
+      defaults[setting.id] = setting.value;
+    }
+  });
+  return defaults;
+}
+
+class FakeSettings extends EventEmitter {
+
+  constructor(values = {}) {
+    super();
+    this.values = { ...values };
+  }
+
+  get(key) {
+    return Object.prototype.hasOwnProperty.call(this.values, key) ? this.values[key] : null;
+  }
+
+  set(key, value) {
+    this.values[key] = value;
+    this.emit('set', key);
+  }
+
+  unset(key) {
+    delete this.values[key];
+    this.emit('unset', key);
+  }
+
+  getKeys() {
+    return Object.keys(this.values);
+  }
+
+}
+
+class FakeFlowCard {
+
+  constructor(id) {
+    this.id = id;
+    this.runListener = null;
+    this.triggers = [];
+  }
+
+  registerRunListener(listener) {
+    this.runListener = listener;
+    return this;
+  }
+
+  registerArgumentAutocompleteListener() {
+    return this;
+  }
+
+  /**
+   * Trigger the card, running the run listener like Homey does for a flow using the card
+   * @returns {Promise<void>}
+   */
+  async trigger(...args) {
+    const [device, tokens, state] = args.length === 3 ? args : [null, ...args];
+    if (this.runListener && !await this.runListener({ device }, state)) {
+      return;
+    }
+    this.triggers.push({ device, tokens, state });
+  }
+
+}
+
+class FakeFlow {
+
+  constructor() {
+    this.cards = {};
+  }
+
+  getCard(id) {
+    if (!this.cards[id]) {
+      this.cards[id] = new FakeFlowCard(id);
+    }
+    return this.cards[id];
+  }
+
+  getTriggerCard(id) {
+    return this.getCard(id);
+  }
+
+  getDeviceTriggerCard(id) {
+    return this.getCard(id);
+  }
+
+  getConditionCard(id) {
+    return this.getCard(id);
+  }
+
+  getActionCard(id) {
+    return this.getCard(id);
+  }
+
+}
+
+/**
+ * Create the this.homey object shared by the app, drivers and devices
+ * @param {Object} [options] - Initial app settings and language
+ * @returns {Object} Fake Homey instance
+ */
+function createHomey({ settings = {}, language = 'en' } = {}) {
+  const drivers = {};
+
+  const homey = {
+    app: null,
+    settings: new FakeSettings(settings),
+    flow: new FakeFlow(),
+    notifications: {
+      created: [],
+      async createNotification({ excerpt }) {
+        this.created.push(excerpt);
+      },
+    },
+    speechOutput: {
+      said: [],
+      async say(text) {
+        this.said.push(text);
+      },
+    },
+    audio: {
+      played: [],
+      async playMp3(sampleId, filePath) {
+        this.played.push(filePath);
+      },
+    },
+    clock: {
+      getTimezone: () => 'Europe/Stockholm',
+    },
+    i18n: {
+      getLanguage: () => language,
+    },
+    drivers: {
+      getDriver: (id) => {
+        if (!drivers[id]) {
+          throw new Error(`Invalid driver ${id}`);
+        }
+        return drivers[id];
+      },
+      getDrivers: () => drivers,
+    },
+    __(key, tokens = {}) {
+      const text = key.split('.').reduce((strings, part) => strings?.[part], LOCALES[language] || en);
+      if (typeof text !== 'string') {
+        return key;
+      }
+      return text.replace(/__(\w+)__/g, (placeholder, name) => (name in tokens ? tokens[name] : placeholder));
+    },
+  };
+
+  homey._drivers = drivers;
+  return homey;
+}
+
+class SimpleClass {
+
+  constructor() {
+    this.logs = [];
+    this.errors = [];
+  }
+
+  log(...args) {
+    this.logs.push(args.join(' '));
+    if (process.env.HOMEY_LOG) {
+      console.log(`[${this.constructor.name}]`, ...args);
+    }
+  }
+
+  error(...args) {
+    this.errors.push(args.map((arg) => (arg instanceof Error ? arg.message : arg)).join(' '));
+    if (process.env.HOMEY_LOG) {
+      console.error(`[${this.constructor.name}]`, ...args);
+    }
+  }
+
+}
+
+class App extends SimpleClass {
+
+  constructor({ homey }) {
+    super();
+    this.homey = homey;
+  }
+
+}
+
+class Driver extends SimpleClass {
+
+  constructor({ homey, id }) {
+    super();
+    this.homey = homey;
+    this.id = id;
+    this.devices = [];
+    this.manifest = manifest.drivers.find((driver) => driver.id === id);
+  }
+
+  getDevices() {
+    return this.devices;
+  }
+
+}
+
+class Device extends SimpleClass {
+
+  constructor({
+    homey, driver, data, name, settings = {}, store = {}, capabilities = {},
+  }) {
+    super();
+    this.homey = homey;
+    this.driver = driver;
+    this.data = data;
+    this.name = name || `VMA ${data.id}`;
+    this.settings = { ...settingDefaults(driver.manifest?.settings), ...settings };
+    this.store = JSON.parse(JSON.stringify(store));
+    this.capabilities = {};
+    (driver.manifest?.capabilities || []).forEach((capability) => {
+      this.capabilities[capability] = null;
+    });
+    // Capability values kept by Homey from before the device was initialised
+    Object.assign(this.capabilities, capabilities);
+    this.capabilityListeners = {};
+    this.available = true;
+    this.unavailableMessage = null;
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  getData() {
+    return this.data;
+  }
+
+  getSettings() {
+    return this.settings;
+  }
+
+  /**
+   * Change settings like the user does in the Homey app, through onSettings
+   * @param {Object} changes - New setting values
+   * @returns {Promise<void>}
+   */
+  async changeSettings(changes) {
+    const oldSettings = { ...this.settings };
+    const newSettings = { ...this.settings, ...changes };
+    await this.onSettings({ oldSettings, newSettings, changedKeys: Object.keys(changes) });
+    this.settings = newSettings;
+  }
+
+  async setSettings(settings) {
+    Object.assign(this.settings, settings);
+  }
+
+  getStoreValue(key) {
+    return Object.prototype.hasOwnProperty.call(this.store, key)
+      ? JSON.parse(JSON.stringify(this.store[key]))
+      : null;
+  }
+
+  async setStoreValue(key, value) {
+    this.store[key] = JSON.parse(JSON.stringify(value));
+  }
+
+  hasCapability(capability) {
+    return Object.prototype.hasOwnProperty.call(this.capabilities, capability);
+  }
+
+  async addCapability(capability) {
+    this.capabilities[capability] = null;
+  }
+
+  getCapabilityValue(capability) {
+    return this.capabilities[capability];
+  }
+
+  async setCapabilityValue(capability, value) {
+    if (!this.hasCapability(capability)) {
+      throw new Error(`Invalid capability ${capability}`);
+    }
+    this.capabilities[capability] = value;
+  }
+
+  getAvailable() {
+    return this.available;
+  }
+
+  async setAvailable() {
+    this.available = true;
+    this.unavailableMessage = null;
+  }
+
+  async setUnavailable(message) {
+    this.available = false;
+    this.unavailableMessage = message || null;
+  }
+
+  registerCapabilityListener(capability, listener) {
+    this.capabilityListeners[capability] = listener;
+  }
+
+  /**
+   * Change a capability like the user does in the Homey app, through its listener
+   * @param {string} capability - Capability id
+   * @param {*} value - New value
+   * @returns {Promise<void>}
+   */
+  async triggerCapabilityListener(capability, value) {
+    this.capabilities[capability] = value;
+    if (this.capabilityListeners[capability]) {
+      await this.capabilityListeners[capability](value);
+    }
+  }
+
+}
+
+/**
+ * Create a running app with its VMA and SMHI drivers
+ * @param {Object} [options] - Initial app settings, language and devices
+ * @returns {Promise<Object>} Runtime with homey, app, driver, smhiDriver, addDevice() and stop()
+ */
+async function createRuntime({ settings = {}, language = 'en', devices = [] } = {}) {
+  // Required here, once this module has been loaded, as they require('homey') themselves
+  /* eslint-disable global-require */
+  const HesaFredrikApp = require('../../app');
+  const VmaDriver = require('../../drivers/vma/driver');
+  const VmaDevice = require('../../drivers/vma/device');
+  const SmhiDriver = require('../../drivers/smhi/driver');
+  const SmhiDevice = require('../../drivers/smhi/device');
+  /* eslint-enable global-require */
+
+  const homey = createHomey({ settings, language });
+
+  const app = new HesaFredrikApp({ homey });
+  homey.app = app;
+  await app.onInit();
+
+  const driver = new VmaDriver({ homey, id: 'vma' });
+  homey._drivers.vma = driver;
+  await driver.onInit();
+
+  const smhiDriver = new SmhiDriver({ homey, id: 'smhi' });
+  homey._drivers.smhi = smhiDriver;
+  await smhiDriver.onInit();
+
+  const runtime = {
+    homey,
+    app,
+    driver,
+    smhiDriver,
+
+    /**
+     * Add and initialise a device, of the VMA driver unless another driver is given
+     * @param {Object} options - Device driver ('vma' or 'smhi'), data, name, settings, store and capability values
+     * @returns {Promise<Object>} The device
+     */
+    async addDevice({ driver: driverId = 'vma', ...options }) {
+      const DeviceClass = driverId === 'smhi' ? SmhiDevice : VmaDevice;
+      const deviceDriver = homey._drivers[driverId];
+      const device = new DeviceClass({ homey, driver: deviceDriver, ...options });
+      deviceDriver.devices.push(device);
+      await device.onInit();
+      return device;
+    },
+
+    /**
+     * Get the calls to a flow trigger card
+     * @param {string} id - Flow card id
+     * @returns {Array} Triggers with device, tokens and state
+     */
+    triggers(id) {
+      return homey.flow.getCard(id).triggers;
+    },
+
+    /**
+     * Stop all timers and connections of the app and its devices
+     * @returns {Promise<void>}
+     */
+    async stop() {
+      for (const device of driver.devices.concat(smhiDriver.devices)) {
+        if (device.onUninit) {
+          await device.onUninit();
+        }
+      }
+      await app.onUninit();
+    },
+  };
+
+  for (const options of devices) {
+    await runtime.addDevice(options);
+  }
+
+  return runtime;
+}
+
+module.exports = {
+  App,
+  Driver,
+  Device,
+  createHomey,
+  createRuntime,
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * Wait until a condition holds
+ * @param {Function} predicate - Returns a truthy value once the condition holds
+ * @param {Object} [options] - Timeout and description used in the error message
+ * @returns {Promise<*>} The truthy value returned by the predicate
+ */
+async function waitFor(predicate, { timeout = 10000, description = 'condition' } = {}) {
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    const result = await predicate();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${description}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+module.exports = {
+  waitFor,
+};
@@ -0,0 +1,118 @@
+'use strict';
+
+const {
+  describe, it, beforeEach, afterEach,
+} = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { createRuntime } = require('./helpers/homey');
+const MockVmaServer = require('./mock-server');
+const { normalizeKrisinformationMessages } = require('../lib/krisinformation');
+
+const FIXTURE = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'krisinformation', 'news.json'), 'utf8'));
+
+// A message for a municipality that is not listed on the first fetch
+const NEW_MESSAGE = {
+  Identifier: 'KRI-1004',
+  Published: '2024-03-01T12:00:00+01:00',
+  Headline: 'Översvämning i Enköping',
+  Preamble: 'Undvik området kring ån.',
+  Area: [{ Type: 'Municipality', Description: 'Enköpings kommun' }],
+  Web: 'https://www.krisinformation.se/nyheter/2024/mars/oversvamning-i-enkoping',
+};
+
+describe('normalizeKrisinformationMessages', () => {
+  it('resolves the areas of messages to area codes', () => {
+    const messages = normalizeKrisinformationMessages(FIXTURE);
+
+    assert.deepEqual(messages.map((message) => [message.identifier, message.areaCodes]), [
+      ['KRI-1001', ['0380']],
+      ['KRI-1002', ['01']],
+      ['KRI-1003', []],
+    ]);
+    assert.equal(messages[0].headline, 'Störningar i vattenförsörjningen i Uppsala');
+    assert.equal(messages[0].areas[0].description, 'Uppsala kommun');
+  });
+
+  it('rejects anything but a message list', () => {
+    assert.throws(() => normalizeKrisinformationMessages({ news: [] }), /Malformed/);
+    assert.throws(() => normalizeKrisinformationMessages([{ Headline: 'x' }]), /without identifier/);
+  });
+});
+
+describe('Krisinformation.se feed', () => {
+  let server;
+  let runtime;
+  let uppsala;
+  let stockholm;
+
+  beforeEach(async () => {
+    server = new MockVmaServer();
+    await server.start();
+    runtime = await createRuntime({
+      settings: {
+        api_base_url: server.baseUrl,
+        test_api_base_url: server.testBaseUrl,
+        krisinformation_url: server.krisinformationUrl,
+      },
+    });
+    uppsala = await runtime.addDevice({ data: { id: '03' } });
+    stockholm = await runtime.addDevice({ data: { id: '0180' } });
+  });
+
+  afterEach(async () => {
+    await runtime.stop();
+    await server.stop();
+  });
+
+  it('is only fetched when turned on in the app settings', async () => {
+    await runtime.app.fetchAndDistributeAlerts();
+    assert.ok(!server.requests.some((request) => request.startsWith('GET /krisinformation')));
+
+    runtime.homey.settings.set('krisinformation_enabled', true);
+    assert.ok(runtime.app.getNeededSourceIds().includes('krisinformation'));
+  });
+
+  it('triggers messages published after the feed was first fetched', async () => {
+    runtime.homey.settings.set('krisinformation_enabled', true);
+    await runtime.app.fetchAndDistributeAlerts();
+    assert.equal(runtime.triggers('krisinformation_trigger').length, 0);
+
+    server.krisinformationMessages = FIXTURE.concat([NEW_MESSAGE]);
+    await runtime.app.fetchAndDistributeAlerts();
+
+    const triggers = runtime.triggers('krisinformation_trigger');
+    assert.equal(triggers.length, 1);
+    assert.equal(triggers[0].device, uppsala);
+    assert.equal(triggers[0].tokens.headline, 'Översvämning i Enköping');
+    assert.equal(triggers[0].tokens.area, 'Enköpings kommun');
+    assert.equal(triggers[0].tokens.matched_areas, 'Uppsala län');
+
+    // Triggered once, while it stays listed
+    await runtime.app.fetchAndDistributeAlerts();
+    assert.equal(runtime.triggers('krisinformation_trigger').length, 1);
+  });
+
+  it('keeps messages apart from VMA incidents', async () => {
+    runtime.homey.settings.set('krisinformation_enabled', true);
+    await runtime.app.fetchAndDistributeAlerts();
+    server.krisinformationMessages = FIXTURE.concat([NEW_MESSAGE]);
+    await runtime.app.fetchAndDistributeAlerts();
+
+    assert.deepEqual(uppsala.incidents, {});
+    assert.equal(uppsala.getCapabilityValue('alarm_generic'), false);
+    assert.equal(runtime.triggers('vma_trigger').length, 0);
+    assert.equal(runtime.triggers('krisinformation_trigger').filter((trigger) => trigger.device === stockholm).length, 0);
+
+    const [entry] = runtime.app.getAlertHistory();
+    assert.equal(entry.type, 'Krisinformation');
+    assert.equal(entry.source, 'krisinformation');
+    assert.equal(entry.identifier, 'KRI-1004');
+  });
+
+  it('is not offered as a source for VMA devices', async () => {
+    await assert.rejects(stockholm.changeSettings({ sources: 'krisinformation' }), /krisinformation/);
+  });
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHomey } = require('./helpers/homey');
+const AlertHistory = require('../lib/AlertHistory');
+const {
+  areasOverlap, getParentCode, parseAreaCodes, findAreaCodeByName,
+} = require('../lib/areas');
+const {
+  pointInGeometry, distanceKm, circleIntersectsRing, parseCapPolygon, parseCapCircle,
+} = require('../lib/geo');
+
+const square = parseCapPolygon('59,18 59,19 60,19 60,18 59,18');
+
+describe('areas', () => {
+  it('finds the county of a municipality', () => {
+    assert.equal(getParentCode('0180'), '01');
+    assert.equal(getParentCode('01'), '00');
+    assert.equal(getParentCode('00'), null);
+  });
+
+  it('overlaps areas containing each other', () => {
+    assert.equal(areasOverlap('0180', '01'), true);
+    assert.equal(areasOverlap('00', '1280'), true);
+    assert.equal(areasOverlap('0180', '1280'), false);
+  });
+
+  it('parses lists of area codes', () => {
+    assert.deepEqual(parseAreaCodes('0180, 1280;0180 9999'), { codes: ['0180', '1280'], invalid: ['9999'] });
+  });
+
+  it('finds areas by the names authorities use', () => {
+    assert.equal(findAreaCodeByName('Sverige'), '00');
+    assert.equal(findAreaCodeByName('Stockholms län'), '01');
+    assert.equal(findAreaCodeByName('Stockholms stad'), '0180');
+    assert.equal(findAreaCodeByName('Uppsala kommun'), '0380');
+    assert.equal(findAreaCodeByName('Region Gotland'), '0980');
+    assert.equal(findAreaCodeByName('Region Uppsala'), '03');
+    assert.equal(findAreaCodeByName('Region Stockholm'), '01');
+    assert.equal(findAreaCodeByName('Region Skåne'), '12');
+    assert.equal(findAreaCodeByName('Region Jönköpings län'), '06');
+    assert.equal(findAreaCodeByName('Nordsjön'), null);
+  });
+});
+
+describe('geo', () => {
+  it('parses CAP polygons and circles as [longitude, latitude]', () => {
+    assert.deepEqual(square[1], [19, 59]);
+    assert.equal(parseCapPolygon('59,18 60,19'), null);
+    assert.deepEqual(parseCapCircle('59.33,18.07 10'), { center: [18.07, 59.33], radius: 10 });
+    assert.equal(parseCapCircle('59.33,18.07'), null);
+  });
+
+  it('finds points in polygons', () => {
+    const geometry = { type: 'Polygon', coordinates: [square] };
+
+    assert.equal(pointInGeometry([18.07, 59.33], geometry), true);
+    assert.equal(pointInGeometry([13, 55.6], geometry), false);
+  });
+
+  it('measures distances and circle overlaps', () => {
+    assert.ok(Math.abs(distanceKm([18.07, 59.33], [13.0, 55.6]) - 512) < 5);
+    assert.equal(circleIntersectsRing({ center: [17.9, 59.5], radius: 15 }, square), true);
+    assert.equal(circleIntersectsRing({ center: [17.5, 59.5], radius: 15 }, square), false);
+  });
+});
+
+describe('AlertHistory', () => {
+  it('keeps the newest entries in the app settings', () => {
+    const homey = createHomey();
+    const history = new AlertHistory(homey.settings, 2);
+
+    ['a', 'b', 'c'].forEach((id) => history.add({ id, device: { areaCode: id === 'b' ? '1280' : '0180' } }));
+
+    assert.deepEqual(history.get().map((entry) => entry.id), ['c', 'b']);
+    assert.deepEqual(history.get({ areaCode: '1280' }).map((entry) => entry.id), ['b']);
+    assert.deepEqual(new AlertHistory(homey.settings).get({ limit: 1 }).map((entry) => entry.id), ['c']);
+  });
+
+  it('drops the alert payloads stored by earlier versions', () => {
+    const homey = createHomey({ settings: { alert_history: [{ id: 'a', alert: { info: [] } }] } });
+
+    assert.deepEqual(new AlertHistory(homey.settings).get(), [{ id: 'a' }]);
+    assert.deepEqual(homey.settings.get('alert_history'), [{ id: 'a' }]);
+  });
+});
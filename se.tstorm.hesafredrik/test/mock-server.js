@@ -0,0 +1,209 @@
+'use strict';
+
+/**
+ * Local stand-in for the VMA API serving /api/v3/alerts and /api/v3/subscribe,
+ * and the same resources under /testapi/v3
+ * The CAP XML documents in fixtures/cap are served under /cap, SMHI warnings under /smhi/warning.json
+ * and Krisinformation.se messages under /krisinformation/news
+ *
+ * Run it on its own to point the app at it, playing a scenario from fixtures/scenarios.js:
+ *   node test/mock-server.js [scenario] [port]
+ * then set the app settings api_base_url and test_api_base_url to the printed URLs.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { SCENARIOS } = require('./fixtures/scenarios');
+
+const RESOURCE_PATTERN = /^\/(api|testapi)\/v3\/(alerts|subscribe)\/?(\?.*)?$/;
+const CAP_PATTERN = /^\/cap\/([\w-]+\.xml)$/;
+const CAP_DIRECTORY = path.join(__dirname, 'fixtures', 'cap');
+const SMHI_WARNINGS_PATH = '/smhi/warning.json';
+const KRISINFORMATION_PATH = '/krisinformation/news';
+
+class MockVmaServer {
+
+  constructor() {
+    this.alerts = [];
+    this.malformed = false;
+    this.smhiWarnings = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'smhi', 'warning.json'), 'utf8'));
+    this.krisinformationMessages = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'krisinformation', 'news.json'), 'utf8'));
+    this.clients = new Set();
+    this.requests = [];
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+  }
+
+  /**
+   * Start listening on a local port
+   * @param {number} [port] - Port to listen on, a free port if omitted
+   * @returns {Promise<void>}
+   */
+  start(port = 0) {
+    return new Promise((resolve) => {
+      this.server.listen(port, '127.0.0.1', resolve);
+    });
+  }
+
+  /**
+   * Drop all connections and stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    this.disconnect();
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+    });
+  }
+
+  get baseUrl() {
+    return `http://127.0.0.1:${this.server.address().port}/api/v3`;
+  }
+
+  get testBaseUrl() {
+    return `http://127.0.0.1:${this.server.address().port}/testapi/v3`;
+  }
+
+  get capBaseUrl() {
+    return `http://127.0.0.1:${this.server.address().port}/cap`;
+  }
+
+  get smhiWarningsUrl() {
+    return `http://127.0.0.1:${this.server.address().port}${SMHI_WARNINGS_PATH}`;
+  }
+
+  get krisinformationUrl() {
+    return `http://127.0.0.1:${this.server.address().port}${KRISINFORMATION_PATH}?days=1`;
+  }
+
+  handleRequest(req, res) {
+    this.requests.push(`${req.method} ${req.url}`);
+
+    const capMatch = CAP_PATTERN.exec(req.url);
+    if (capMatch && fs.existsSync(path.join(CAP_DIRECTORY, capMatch[1]))) {
+      res.writeHead(200, { 'Content-Type': 'application/xml' });
+      fs.createReadStream(path.join(CAP_DIRECTORY, capMatch[1])).pipe(res);
+      return;
+    }
+
+    if (req.url === SMHI_WARNINGS_PATH) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(this.smhiWarnings));
+      return;
+    }
+
+    if (req.url.split('?')[0] === KRISINFORMATION_PATH) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(this.krisinformationMessages));
+      return;
+    }
+
+    const match = RESOURCE_PATTERN.exec(req.url);
+    if (!match || req.method !== 'GET') {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Not found' }));
+      return;
+    }
+
+    if (match[2] === 'subscribe') {
+      this.subscribe(req, res);
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(this.malformed ? '{"alerts": [{"identifier": ' : JSON.stringify({ alerts: this.alerts }));
+  }
+
+  subscribe(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write(': connected\n\n');
+
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  /**
+   * Notify SSE subscribers that the alerts have changed
+   * @param {string} [message] - Message sent in the event data
+   */
+  publish(message = 'Alerts updated') {
+    this.clients.forEach((res) => {
+      res.write(`data: ${JSON.stringify({ message })}\n\n`);
+    });
+  }
+
+  /**
+   * Drop all SSE connections
+   */
+  disconnect() {
+    this.clients.forEach((res) => res.destroy());
+    this.clients.clear();
+  }
+
+  /**
+   * Apply a scenario step
+   * @param {Object} step - Step from fixtures/scenarios.js
+   */
+  play(step) {
+    if (step.alerts) {
+      this.alerts = step.alerts;
+    }
+    this.malformed = step.malformed === true;
+
+    if (step.disconnect) {
+      this.disconnect();
+    } else {
+      this.publish();
+    }
+  }
+
+  /**
+   * Wait until a number of SSE clients are connected
+   * @param {number} count - Number of clients to wait for
+   * @param {number} [timeout] - Maximum time to wait in milliseconds
+   * @returns {Promise<void>}
+   */
+  async waitForClients(count, timeout = 10000) {
+    const deadline = Date.now() + timeout;
+    while (this.clients.size < count) {
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for ${count} SSE client(s), ${this.clients.size} connected`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+  }
+
+}
+
+if (require.main === module) {
+  const [scenarioName = 'alert', port = '8080'] = process.argv.slice(2);
+  const steps = SCENARIOS[scenarioName];
+  const stepInterval = Number(process.env.STEP_INTERVAL) || 30000;
+
+  if (!steps) {
+    throw new Error(`Unknown scenario ${scenarioName}, use one of: ${Object.keys(SCENARIOS).join(', ')}`);
+  }
+
+  const server = new MockVmaServer();
+  server.start(Number(port)).then(() => {
+    console.log(`Mock VMA API playing "${scenarioName}": ${server.baseUrl} and ${server.testBaseUrl}`);
+
+    let index = 0;
+    const playNext = () => {
+      console.log(`Step ${index + 1}/${steps.length}:`, JSON.stringify(steps[index], (key, value) => {
+        return key === 'alerts' ? value.map((alert) => `${alert.msgType} ${alert.identifier}`) : value;
+      }));
+      server.play(steps[index]);
+      index = (index + 1) % steps.length;
+    };
+
+    playNext();
+    setInterval(playNext, stepInterval);
+  });
+}
+
+module.exports = MockVmaServer;
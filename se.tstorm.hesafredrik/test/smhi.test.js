@@ -0,0 +1,168 @@
+'use strict';
+
+const {
+  describe, it, beforeEach, afterEach,
+} = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { createRuntime } = require('./helpers/homey');
+const MockVmaServer = require('./mock-server');
+const { normalizeSmhiWarnings, levelAtLeast, warningAffectsArea } = require('../lib/smhi');
+
+const FIXTURE = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'smhi', 'warning.json'), 'utf8'));
+const [GALE] = normalizeSmhiWarnings(FIXTURE);
+
+// Squares around central Stockholm and west of the coast warning, standing in for municipality boundaries
+const STOCKHOLM_BOUNDARY = {
+  type: 'Polygon',
+  coordinates: [[[17.9, 59.25], [18.2, 59.25], [18.2, 59.4], [17.9, 59.4], [17.9, 59.25]]],
+};
+const INLAND_BOUNDARY = {
+  type: 'Polygon',
+  coordinates: [[[17.0, 59.1], [17.5, 59.1], [17.5, 59.3], [17.0, 59.3], [17.0, 59.1]]],
+};
+
+describe('normalizeSmhiWarnings', () => {
+  it('lists each warning area with its level, event, counties and geometry', () => {
+    const warnings = normalizeSmhiWarnings(FIXTURE);
+    const [gale] = warnings;
+
+    assert.deepEqual(warnings.map((warning) => [warning.id, warning.level]), [['2001', 'YELLOW'], ['2003', 'MESSAGE'], ['2002', 'ORANGE']]);
+    assert.equal(gale.warningId, '1001');
+    assert.deepEqual(gale.event, { sv: 'Kuling', en: 'Gale' });
+    assert.deepEqual(gale.counties, ['01']);
+    assert.equal(gale.description.en, 'Strong winds expected along the coast.');
+    assert.equal(gale.geometry.type, 'MultiPolygon');
+    assert.equal(warnings[1].geometry, null);
+  });
+
+  it('rejects anything but a warning list', () => {
+    assert.throws(() => normalizeSmhiWarnings({ warnings: [] }), /Malformed/);
+    assert.throws(() => normalizeSmhiWarnings([{ id: 1, warningAreas: [{ id: 2, warningLevel: { code: 'PURPLE' } }] }]), /Invalid SMHI warning area/);
+  });
+
+  it('compares warning levels', () => {
+    assert.ok(levelAtLeast('ORANGE', 'YELLOW'));
+    assert.ok(levelAtLeast('YELLOW', 'YELLOW'));
+    assert.ok(!levelAtLeast('MESSAGE', 'YELLOW'));
+  });
+});
+
+describe('warningAffectsArea', () => {
+  it('matches the country, the listed counties and their municipalities', () => {
+    assert.ok(warningAffectsArea(GALE, '00'));
+    assert.ok(warningAffectsArea(GALE, '01'));
+    assert.ok(warningAffectsArea(GALE, '0180'));
+    assert.ok(!warningAffectsArea(GALE, '03'));
+    assert.ok(!warningAffectsArea(GALE, '1280'));
+  });
+
+  it('checks the warning area against a municipality boundary when known', () => {
+    assert.ok(warningAffectsArea(GALE, '0180', STOCKHOLM_BOUNDARY));
+    assert.ok(!warningAffectsArea(GALE, '0180', INLAND_BOUNDARY));
+  });
+});
+
+describe('SMHI devices', () => {
+  let server;
+  let runtime;
+  let stockholm;
+  let norrbotten;
+
+  beforeEach(async () => {
+    server = new MockVmaServer();
+    await server.start();
+    runtime = await createRuntime({
+      settings: {
+        api_base_url: server.baseUrl,
+        test_api_base_url: server.testBaseUrl,
+        smhi_warnings_url: server.smhiWarningsUrl,
+      },
+    });
+    stockholm = await runtime.addDevice({ driver: 'smhi', data: { id: '0180' } });
+    norrbotten = await runtime.addDevice({ driver: 'smhi', data: { id: '25' }, settings: { min_level: 'RED' } });
+  });
+
+  afterEach(async () => {
+    await runtime.stop();
+    await server.stop();
+  });
+
+  it('is polled as a source of its own', () => {
+    assert.deepEqual(runtime.app.getNeededSourceIds(), ['smhi']);
+    assert.equal(runtime.app.getStatus().endpoints.smhi.polled, true);
+
+    runtime.app.checkPollingFallback();
+
+    assert.equal(runtime.app.getStatus().polling.sources, true);
+    assert.equal(runtime.app.getStatus().polling.active, false);
+  });
+
+  it('triggers new warnings for the area at or above the lowest level', async () => {
+    await runtime.app.fetchAndDistributeAlerts();
+
+    assert.ok(server.requests.includes('GET /smhi/warning.json'));
+    assert.deepEqual(Object.keys(stockholm.warnings), ['2001']);
+    assert.deepEqual(Object.keys(norrbotten.warnings), []);
+    assert.equal(stockholm.getCapabilityValue('alarm_generic'), true);
+    assert.equal(stockholm.getCapabilityValue('message'), 'Yellow warning: Gale in Stockholm County coast');
+    assert.equal(norrbotten.getCapabilityValue('alarm_generic'), false);
+
+    const [trigger] = runtime.triggers('smhi_warning_trigger');
+    assert.equal(trigger.device, stockholm);
+    assert.equal(trigger.tokens.level_code, 'YELLOW');
+    assert.equal(trigger.tokens.event, 'Gale');
+    assert.equal(runtime.triggers('vma_trigger').length, 0);
+
+    assert.equal(runtime.app.getAlertHistory()[0].type, 'SMHI warning');
+    assert.equal(runtime.app.getAlertHistory()[0].source, 'smhi');
+  });
+
+  it('triggers updates and ends warnings that are no longer listed', async () => {
+    await runtime.app.fetchAndDistributeAlerts();
+
+    server.smhiWarnings[0].warningAreas[0].warningLevel = { sv: 'Orange', en: 'Orange', code: 'ORANGE' };
+    await runtime.app.fetchAndDistributeAlerts();
+
+    const [update] = runtime.triggers('smhi_warning_updated_trigger');
+    assert.equal(update.tokens.level, 'Orange');
+    assert.equal(update.tokens.previous_level, 'Yellow');
+    assert.equal(runtime.triggers('smhi_warning_trigger').length, 1);
+
+    server.smhiWarnings = [];
+    await runtime.app.fetchAndDistributeAlerts();
+
+    const [ended] = runtime.triggers('smhi_warning_ended_trigger');
+    assert.equal(ended.tokens.reason, 'removed');
+    assert.deepEqual(stockholm.warnings, {});
+    assert.equal(stockholm.getCapabilityValue('alarm_generic'), false);
+    assert.equal(stockholm.getCapabilityValue('message'), null);
+  });
+
+  it('keeps warnings when the warning list cannot be fetched', async () => {
+    await runtime.app.fetchAndDistributeAlerts();
+
+    runtime.homey.settings.set('smhi_warnings_url', `${server.capBaseUrl}/missing.json`);
+    await runtime.app.fetchAndDistributeAlerts();
+
+    assert.equal(runtime.app.getStatus().endpoints.smhi.lastFetch.ok, false);
+    assert.deepEqual(Object.keys(stockholm.warnings), ['2001']);
+    assert.equal(runtime.triggers('smhi_warning_ended_trigger').length, 0);
+  });
+
+  it('answers the active warning condition by level', async () => {
+    await runtime.app.fetchAndDistributeAlerts();
+    const condition = runtime.homey.flow.getCard('has_active_smhi_warning').runListener;
+
+    assert.equal(await condition({ device: stockholm, level: 'YELLOW' }), true);
+    assert.equal(await condition({ device: stockholm, level: 'ORANGE' }), false);
+  });
+
+  it('is not offered as a source for VMA devices', async () => {
+    const vma = await runtime.addDevice({ data: { id: '0180' } });
+
+    await assert.rejects(vma.changeSettings({ sources: 'smhi' }), /smhi/);
+  });
+});
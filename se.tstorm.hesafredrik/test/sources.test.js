@@ -0,0 +1,149 @@
+'use strict';
+
+const {
+  describe, it, beforeEach, afterEach,
+} = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHomey, createRuntime } = require('./helpers/homey');
+const { waitFor } = require('./helpers/wait');
+const MockVmaServer = require('./mock-server');
+const SourceRegistry = require('../lib/SourceRegistry');
+const { ALERT, UPDATE, capAlert } = require('./fixtures/scenarios');
+
+describe('SourceRegistry', () => {
+  it('adds sources with IDs derived from their names', () => {
+    const registry = new SourceRegistry(createHomey().settings, ['production', 'test']);
+
+    assert.equal(registry.add({ name: 'Lokalt relä', alertsUrl: 'http://relay.local/alerts' }).id, 'lokalt-rel');
+    assert.equal(registry.add({ name: 'Lokalt relä', alertsUrl: 'http://relay.local/alerts' }).id, 'lokalt-rel-2');
+    assert.equal(registry.add({ name: 'Test', alertsUrl: 'http://relay.local/alerts' }).id, 'test-2');
+    assert.deepEqual(registry.getAll().map((source) => source.id), ['lokalt-rel', 'lokalt-rel-2', 'test-2']);
+  });
+
+  it('rejects sources without a name or with invalid URLs', () => {
+    const registry = new SourceRegistry(createHomey().settings);
+
+    assert.throws(() => registry.add({ alertsUrl: 'http://relay.local/alerts' }), /name/);
+    assert.throws(() => registry.add({ name: 'Relay', alertsUrl: 'ftp://relay.local/alerts' }), /alerts URL/);
+    assert.throws(() => registry.add({ name: 'Relay', alertsUrl: 'http://relay.local/alerts', sseUrl: 'relay' }), /SSE URL/);
+  });
+
+  it('ignores invalid stored sources and removes sources', () => {
+    const homey = createHomey({
+      settings: {
+        sources: [
+          { id: 'production', alertsUrl: 'http://relay.local/alerts' },
+          { id: 'relay', name: 'Relay', alertsUrl: 'http://relay.local/alerts' },
+          { id: 'broken', alertsUrl: 'not a url' },
+        ],
+      },
+    });
+    const registry = new SourceRegistry(homey.settings, ['production']);
+
+    assert.deepEqual(registry.get('relay'), {
+      id: 'relay', name: 'Relay', alertsUrl: 'http://relay.local/alerts', sseUrl: null, format: 'vma',
+    });
+    assert.equal(registry.remove('broken'), false);
+    assert.equal(registry.remove('relay'), true);
+    assert.deepEqual(registry.getAll(), []);
+  });
+});
+
+describe('alert sources', () => {
+  let server;
+  let mirror;
+  let runtime;
+  let device;
+
+  beforeEach(async () => {
+    server = new MockVmaServer();
+    mirror = new MockVmaServer();
+    await server.start();
+    await mirror.start();
+    runtime = await createRuntime({
+      settings: { api_base_url: server.baseUrl, test_api_base_url: server.testBaseUrl },
+    });
+    runtime.app.addSource({ name: 'Mirror', alertsUrl: `${mirror.baseUrl}/alerts` });
+    device = await runtime.addDevice({ data: { id: '0180' }, settings: { sources: 'production, mirror' } });
+  });
+
+  afterEach(async () => {
+    await runtime.stop();
+    await server.stop();
+    await mirror.stop();
+  });
+
+  it('fetches only the sources devices listen to', async () => {
+    await runtime.app.fetchAndDistributeAlerts();
+    await device.setSettings({ sources: 'mirror' });
+    await runtime.app.fetchAndDistributeAlerts();
+
+    assert.deepEqual(server.requests, ['GET /api/v3/alerts']);
+    assert.deepEqual(mirror.requests, ['GET /api/v3/alerts', 'GET /api/v3/alerts']);
+    assert.deepEqual(runtime.app.getNeededSourceIds(), ['mirror']);
+  });
+
+  it('merges alerts of all sources once per identifier', async () => {
+    const other = capAlert({ identifier: 'SRVMA20240101130000I', incidents: 'SRVMA20240101130000I' });
+    server.play({ alerts: [ALERT] });
+    mirror.play({ alerts: [ALERT, other] });
+    await runtime.app.fetchAndDistributeAlerts();
+
+    const incidents = runtime.triggers('vma_trigger').map((trigger) => trigger.tokens.incident_id);
+    assert.deepEqual(incidents, [ALERT.incidents, other.incidents]);
+  });
+
+  it('keeps incidents while one of the sources fails', async () => {
+    server.play({ alerts: [ALERT] });
+    mirror.play({ alerts: [ALERT] });
+    await runtime.app.fetchAndDistributeAlerts();
+
+    server.play({ alerts: [] });
+    mirror.play({ malformed: true });
+    await runtime.app.fetchAndDistributeAlerts();
+    await runtime.app.fetchAndDistributeAlerts();
+
+    assert.deepEqual(Object.keys(device.incidents), [ALERT.incidents]);
+    assert.equal(runtime.app.getStatus().endpoints.mirror.failureCount, 2);
+    assert.equal(runtime.app.getStatus().endpoints.mirror.polled, true);
+  });
+
+  it('polls only the sources without an SSE stream', async () => {
+    server.play({ alerts: [ALERT] });
+    await runtime.app.fetchAndDistributeAlerts();
+    await runtime.app.pollSourcesWithoutSSE();
+
+    assert.deepEqual(server.requests, ['GET /api/v3/alerts']);
+    assert.deepEqual(mirror.requests, ['GET /api/v3/alerts', 'GET /api/v3/alerts']);
+    assert.deepEqual(Object.keys(device.incidents), [ALERT.incidents]);
+  });
+
+  it('fetches again once the running fetch is done when asked meanwhile', async () => {
+    const running = runtime.app.fetchAndDistributeAlerts();
+    await runtime.app.fetchAndDistributeAlerts(['mirror']);
+    await running;
+
+    await waitFor(() => mirror.requests.length === 2, { description: 'queued fetch of the mirror' });
+    assert.deepEqual(server.requests, ['GET /api/v3/alerts']);
+  });
+
+  it('picks up updates from any source', async () => {
+    server.play({ alerts: [ALERT] });
+    await runtime.app.fetchAndDistributeAlerts();
+    mirror.play({ alerts: [UPDATE] });
+    await runtime.app.fetchAndDistributeAlerts();
+
+    assert.equal(runtime.triggers('vma_update_trigger').length, 1);
+  });
+
+  it('rejects unknown sources in the device settings', async () => {
+    await assert.rejects(device.changeSettings({ sources: 'mirror, nowhere' }), /nowhere/);
+  });
+
+  it('does not remove built-in sources', () => {
+    assert.throws(() => runtime.app.removeSource('production'), /Built-in/);
+    runtime.app.removeSource('mirror');
+    assert.equal(runtime.app.getSource('mirror'), null);
+  });
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const {
+  describe, it, beforeEach, afterEach,
+} = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRuntime } = require('./helpers/homey');
+const { waitFor } = require('./helpers/wait');
+const MockVmaServer = require('./mock-server');
+const { SCENARIOS } = require('./fixtures/scenarios');
+
+// Time an SSE stream may be down before the app falls back to polling
+const POLL_FALLBACK_GRACE = 3 * 60 * 1000;
+
+describe('SSE subscription', () => {
+  let server;
+  let runtime;
+
+  beforeEach(async () => {
+    server = new MockVmaServer();
+    await server.start();
+    runtime = await createRuntime({
+      settings: { api_base_url: server.baseUrl, test_api_base_url: server.testBaseUrl },
+      devices: [{ data: { id: '0180' } }],
+    });
+  });
+
+  afterEach(async () => {
+    await runtime.stop();
+    await server.stop();
+  });
+
+  it('connects to the configured subscribe endpoint', async () => {
+    await server.waitForClients(1);
+
+    assert.ok(server.requests.includes('GET /api/v3/subscribe'));
+    await waitFor(() => runtime.app.getStatus().endpoints.production.connected, {
+      description: 'production SSE connection',
+    });
+  });
+
+  it('fetches alerts when notified of a new message', { timeout: 20000 }, async () => {
+    await server.waitForClients(1);
+    server.play(SCENARIOS.alert[0]);
+
+    const [trigger] = await waitFor(() => runtime.triggers('vma_trigger').length && runtime.triggers('vma_trigger'), {
+      description: 'vma_trigger',
+    });
+    assert.equal(trigger.tokens.incident_id, 'SRVMA20240101120000I');
+  });
+
+  it('polls while the stream is down longer than the grace period and stops once it recovers', { timeout: 20000 }, async () => {
+    await waitFor(() => runtime.app.getStatus().endpoints.production.connected, {
+      description: 'production SSE connection',
+    });
+
+    server.disconnect();
+    await waitFor(() => !runtime.app.getStatus().endpoints.production.connected, {
+      description: 'production SSE disconnection',
+    });
+    runtime.app.checkPollingFallback();
+    assert.equal(runtime.app.getStatus().polling.active, false);
+
+    // Let the outage last longer than the grace period
+    runtime.app.getSourceState('production').disconnectedAt -= POLL_FALLBACK_GRACE;
+    runtime.app.checkPollingFallback();
+    assert.equal(runtime.app.getStatus().polling.active, true);
+
+    await waitFor(() => runtime.app.getStatus().endpoints.production.connected, {
+      timeout: 15000,
+      description: 'production SSE reconnection',
+    });
+    runtime.app.checkPollingFallback();
+    assert.equal(runtime.app.getStatus().polling.active, false);
+  });
+
+  it('reconnects and catches up after a disconnect', { timeout: 30000 }, async () => {
+    const [initial, update] = SCENARIOS.disconnect;
+    server.play(initial);
+    await runtime.app.fetchAndDistributeAlerts();
+    await server.waitForClients(1);
+
+    server.play(update);
+    await waitFor(() => server.requests.filter((request) => request === 'GET /api/v3/subscribe').length > 1, {
+      timeout: 20000,
+      description: 'SSE reconnection',
+    });
+
+    const [trigger] = await waitFor(() => runtime.triggers('vma_update_trigger').length && runtime.triggers('vma_update_trigger'), {
+      description: 'vma_update_trigger',
+    });
+    assert.equal(trigger.tokens.severity, 'Extreme');
+  });
+});